@@ -9,7 +9,22 @@
 
 export const config = {
   /**
-   * Contact search: defines which contacts are processed.
+   * Object type analyzed: 'contacts', 'companies' or 'deals'. contactSearch then searches that type
+   * (its filters and properties must be properties of that type), counters and the other metrics
+   * are written to it, and `setup` creates properties on it. Form submissions and email engagement
+   * apply to contacts only. Override with --object-type <type>.
+   */
+  primaryObjectType: 'contacts',
+
+  /**
+   * Companies and deals: also count the activities, deals, ... associated with each record's
+   * contacts (deduplicated), not only those associated with the record itself.
+   * Add contacts: 'contacts' to activityTypesToCount to count the associated contacts.
+   */
+  rollUpContactActivities: false,
+
+  /**
+   * Contact search: defines which contacts (or primaryObjectType records) are processed.
    * @see https://developers.hubspot.com/docs/api/crm/search
    */
   contactSearch: {
@@ -43,9 +58,19 @@ export const config = {
     maxContacts: 20,
   },
 
+  /**
+   * Contact date property filtered by --since / --until on the command line
+   * (replaces the filter on this property in every filter group above).
+   */
+  programStartDateProperty: 'frm_program_start_date',
+
   /**
    * Which association types to count per contact.
-   * Keys are used as counter names; values are HubSpot object types for the v4 associations API.
+   * Keys are used as counter names; values are HubSpot object types for the v4 associations API
+   * (standard names or custom object type IDs like '2-1234567'), or objects:
+   * { objectType, associationTypeIds: [numbers], associationLabels: ['Decision maker'], filters: [...] }
+   * - associationTypeIds / associationLabels: count only associations with one of these types or labels.
+   * - filters: CRM search style filters ({ propertyName, operator, value }) on the associated objects.
    */
   activityTypesToCount: {
     deals: 'deals',
@@ -54,6 +79,97 @@ export const config = {
     meetings: 'meetings',
     notes: 'notes',
     tasks: 'tasks',
+    // enrollments: '2-1234567',
+    // decisionMakerDeals: { objectType: 'deals', associationLabels: ['Decision maker'] },
+    // salesPipelineDeals: { objectType: 'deals', filters: [{ propertyName: 'pipeline', operator: 'EQ', value: 'default' }] },
+  },
+
+  /**
+   * Time-windowed activity counts (e.g. "calls in the last 90 days"), based on each activity's hs_timestamp.
+   * - enabled: fetch activity timestamps and compute the windows (extra batch reads per page).
+   * - types: keys of activityTypesToCount to count per window.
+   * - windows: { key: { days: N } } = last N days; { key: { relativeTo: 'contact_date_property' } } = since
+   *   the contact's date; add days to limit a relative window to the N days after that date.
+   * - properties: { type: { windowKey: 'contact_number_property' } }. Unmapped pairs are only printed/exported.
+   */
+  activityWindows: {
+    enabled: false,
+    types: ['calls', 'emails', 'meetings', 'notes', 'tasks'],
+    windows: {
+      last30Days: { days: 30 },
+      last90Days: { days: 90 },
+      last365Days: { days: 365 },
+      sinceProgramStart: { relativeTo: 'frm_program_start_date' },
+    },
+    properties: {
+      // calls: { last90Days: 'num_calls_last_90_days' },
+    },
+  },
+
+  /**
+   * First-touch / last-touch dates per contact across activity types (from hs_timestamp; future
+   * activities such as scheduled meetings are ignored). Direction (INBOUND / OUTBOUND) comes from
+   * hs_email_direction and hs_call_direction.
+   * - enabled: compute touch dates (extra batch reads per page).
+   * - types: keys of activityTypesToCount that count as a touch.
+   * - properties: contact properties to write (null = not written):
+   *   firstTouchDate, lastTouchDate, lastInboundDate, lastOutboundDate: date properties;
+   *   lastTouchType, lastTouchDirection: text properties; daysSinceLastTouch: number property;
+   *   byType: { type: { firstDate, lastDate } } date properties per activity type.
+   */
+  touchDates: {
+    enabled: false,
+    types: ['calls', 'emails', 'meetings', 'notes'],
+    properties: {
+      firstTouchDate: null, // e.g. 'first_touch_date'
+      lastTouchDate: null, // e.g. 'last_touch_date'
+      lastTouchType: null, // e.g. 'last_touch_type'
+      lastTouchDirection: null, // e.g. 'last_touch_direction'
+      daysSinceLastTouch: null, // e.g. 'days_since_last_touch'
+      lastInboundDate: null, // e.g. 'last_inbound_touch_date'
+      lastOutboundDate: null, // e.g. 'last_outbound_touch_date'
+      byType: {
+        // calls: { firstDate: 'first_call_date', lastDate: 'last_call_date' },
+      },
+    },
+  },
+
+  /**
+   * Engagement score per contact, combining the collected signals (see lib/scoring.js).
+   * - signals: { key: { weight, cap, halfLifeDays } }. Keys are counters (activityTypesToCount keys,
+   *   emailOpens, emailClicks, formSubmissions) or deal metrics (openDeals, wonDeals, ...).
+   *   weight = points per occurrence; cap = max points from that signal; halfLifeDays = recency decay
+   *   (activity types and formSubmissions only: an occurrence halfLifeDays old counts half).
+   * - penalties: points subtracted per bouncedEmail / failedEmail (hs_email_status BOUNCED / FAILED).
+   * - minScore / maxScore: clamp the total.
+   * - tiers: label for the first tier whose min the score reaches (highest min first).
+   * - properties: score (number) and tier (text or dropdown) contact properties. null = not written.
+   */
+  scoring: {
+    enabled: false,
+    signals: {
+      meetings: { weight: 8, cap: 32, halfLifeDays: 90 },
+      calls: { weight: 3, cap: 15, halfLifeDays: 60 },
+      emails: { weight: 1, cap: 10, halfLifeDays: 60 },
+      emailOpens: { weight: 1, cap: 10 },
+      emailClicks: { weight: 3, cap: 15 },
+      formSubmissions: { weight: 5, cap: 20, halfLifeDays: 120 },
+      openDeals: { weight: 10, cap: 20 },
+      wonDeals: { weight: 15, cap: 30 },
+    },
+    penalties: { bouncedEmail: 10, failedEmail: 3 },
+    minScore: 0,
+    maxScore: 100,
+    tiers: [
+      { min: 60, label: 'Hot' },
+      { min: 30, label: 'Warm' },
+      { min: 10, label: 'Cool' },
+      { min: 0, label: 'Cold' },
+    ],
+    properties: {
+      score: null, // e.g. 'engagement_score'
+      tier: null, // e.g. 'engagement_tier'
+    },
   },
 
   /**
@@ -69,10 +185,28 @@ export const config = {
     'hs_email_direction',
   ],
 
+  /**
+   * Activity details for calls, meetings, notes and tasks: properties to batch-read per type
+   * (keys of activityTypesToCount; emails use emailActivityProperties above). Remove a type to
+   * only list its IDs. Per-type summaries are printed and exported:
+   * calls by disposition/direction with total duration, meetings by outcome,
+   * tasks completed / overdue (due date hs_timestamp passed) / open, notes with a body.
+   */
+  activityDetailProperties: {
+    calls: ['hs_timestamp', 'hs_call_title', 'hs_call_disposition', 'hs_call_duration', 'hs_call_direction', 'hs_call_status'],
+    meetings: ['hs_timestamp', 'hs_meeting_title', 'hs_meeting_outcome', 'hs_meeting_start_time', 'hs_meeting_end_time'],
+    notes: ['hs_timestamp', 'hs_note_body'],
+    tasks: ['hs_timestamp', 'hs_task_subject', 'hs_task_status', 'hs_task_priority', 'hs_task_type'],
+  },
+
   /**
    * Custom contact property internal names where each counter will be written.
    * Create these properties in HubSpot (Settings → Properties → Contact) as number type.
    * Use internal names (lowercase, underscores).
+   * Keys match activityTypesToCount, plus:
+   * - emailOpens / emailClicks: written when fetchEmailEngagementEvents is on and the event type resolves.
+   * - formSubmissions: matched form submissions, written when fetchFormSubmissions is on.
+   * Counters without a property name (null or missing) are not written.
    */
   customProperties: {
     deals: 'num_deals',
@@ -81,6 +215,25 @@ export const config = {
     meetings: 'num_meetings',
     notes: 'num_notes',
     tasks: 'num_tasks',
+    emailOpens: null, // e.g. 'num_email_opens'
+    emailClicks: null, // e.g. 'num_email_clicks'
+    formSubmissions: null, // e.g. 'num_form_submissions'
+  },
+
+  /**
+   * Per-contact deal analytics written to contact properties (null = not written).
+   * Open / won / lost comes from each deal stage's pipeline metadata (closed + probability 1 = won,
+   * closed + probability 0 = lost). Amounts are summed from the deal `amount` property.
+   * - openDeals, wonDeals, lostDeals, totalAmount, wonAmount: number properties.
+   * - lastCloseDate: date property, most recent close date of a won or lost deal.
+   */
+  dealMetricProperties: {
+    openDeals: null, // e.g. 'num_open_deals'
+    wonDeals: null, // e.g. 'num_won_deals'
+    lostDeals: null, // e.g. 'num_lost_deals'
+    totalAmount: null, // e.g. 'total_deal_amount'
+    wonAmount: null, // e.g. 'won_deal_amount'
+    lastCloseDate: null, // e.g. 'last_deal_close_date'
   },
 
   /**
@@ -89,9 +242,98 @@ export const config = {
    */
   analysisCompletedDateProperty: 'analysis_completed_date',
 
-  /** Delay in ms between batch API calls to avoid rate limits. */
+  /**
+   * Incremental runs: only re-analyze records whose counts could have changed. A record is due if
+   * any clause holds; this is combined with contactSearch (whose filters on
+   * analysisCompletedDateProperty are then dropped). --contact-id ignores it.
+   */
+  staleness: {
+    enabled: false,
+    /** Never analyzed (analysisCompletedDateProperty empty). */
+    neverAnalyzed: true,
+    /** Analyzed more than N days ago (0 = off). */
+    maxAgeDays: 30,
+    /**
+     * Date properties that mark a change since the last run: due if one is newer than the start of
+     * the last completed run (and than the run's own write to the record). Empty = off.
+     */
+    changedProperties: ['lastmodifieddate', 'notes_last_updated'],
+    /** When the last completed run started and wrote each record, per object type. */
+    statePath: 'cache/last-run.json',
+  },
+
+  /**
+   * Property group that `node index.js setup` creates missing properties in (created if missing).
+   */
+  propertyGroup: {
+    name: 'contact_analysis',
+    label: 'Contact analysis',
+  },
+
+  /**
+   * Structured export of per-contact results (see lib/export.js).
+   * - outputDir: directory to write to. Falsy = no export. Override with --output-dir <dir>.
+   * - formats: 'jsonl' (analysis.jsonl, one nested record per contact) and/or 'csv'
+   *   (contacts.csv, deals.csv, emails.csv, form_submissions.csv keyed by contactId, or companyId / dealId).
+   *   Override with --format jsonl,csv.
+   */
+  output: {
+    outputDir: null,
+    formats: ['jsonl', 'csv'],
+  },
+
+  /**
+   * Cohort report printed at the end of analyze, aggregated over all contacts processed in the run
+   * (see lib/report.js): counter distributions (min / median / p90 / max), share with no activity,
+   * deals by stage, email status totals, top forms.
+   * - formats: 'table' (console), 'json' (cohort_report.json), 'markdown' (cohort_report.md).
+   *   json/markdown go to outputDir (default output.outputDir), or the console without one.
+   *   Override with --report table,markdown (or --report none).
+   * - groupBy: contact property to break the report down by (e.g. 'lifecyclestage'); fetched with
+   *   the search. Override with --group-by <property>.
+   */
+  report: {
+    enabled: true,
+    formats: ['table'],
+    groupBy: null,
+    outputDir: null,
+  },
+
+  /**
+   * Checkpoint file for resumable runs: saved after each page of contacts is written back
+   * (search cursor, processed contact IDs, IDs to retry, hash of the contactSearch filters/sorts) and
+   * removed when the run completes with nothing to retry. Resume with `node index.js --resume`.
+   * Falsy = no checkpoint.
+   */
+  checkpointPath: 'cache/checkpoint.json',
+
+  /**
+   * Fixed delay in ms between batch API calls, on top of the rateLimit token bucket below.
+   * Set it to 0 to let rateLimit alone pace the run.
+   */
   delayBetweenBatchesMs: 150,
 
+  /**
+   * Base URL of the HubSpot API for every call (SDK client and raw requests). null = https://api.hubapi.com.
+   * Point it at a local fake HubSpot (node lib/fake-hubspot.js) to run against fixtures offline.
+   */
+  apiBaseUrl: null, // e.g. 'http://127.0.0.1:4010'
+
+  /**
+   * Shared HubSpot request layer (lib/request.js): every API call is rate-limited and retried.
+   * - requestsPerSecond / requestsPerTenSeconds: token bucket limits (private apps: 100 or 190 per 10s by tier).
+   * - maxRetries: retries on 429, 5xx and network errors before giving up.
+   * - baseDelayMs / maxDelayMs: exponential backoff with jitter; Retry-After and
+   *   X-HubSpot-RateLimit-* headers take precedence when they ask for a longer wait.
+   */
+  rateLimit: {
+    requestsPerSecond: 10,
+    requestsPerTenSeconds: 100,
+    maxRetries: 5,
+    baseDelayMs: 500,
+    maxDelayMs: 30000,
+  },
+
   /**
    * Fetch form submissions via Forms API and match to contacts by email.
    * Requires Forms API scopes (e.g. forms) on your private app.
@@ -100,9 +342,11 @@ export const config = {
 
   /**
    * Limit form submission fetch to speed up runs.
-   * - maxPerForm: max submissions to fetch per form (newest first). 0 = no limit (slow).
+   * - maxPerForm: max submissions to fetch per form (newest first) when the form is not cached yet.
+   *   0 = no limit (slow).
    * - maxForms: max forms to fetch submissions for. 0 = all forms.
-   * - maxAgeMonths: only include submissions from the last N months. 0 = no date filter.
+   * - maxAgeMonths: only include submissions from the last N months; older cached ones are pruned.
+   *   0 = no date filter.
    * - concurrency: number of forms to fetch in parallel (1 = sequential).
    */
   formSubmissionsMaxPerForm: 500,
@@ -110,11 +354,48 @@ export const config = {
   formSubmissionsMaxAgeMonths: 24,
   formSubmissionsConcurrency: 3,
 
+  /**
+   * Matching form submissions to contacts: by the submission's contact ID when the API returns one,
+   * then the contact's email, then its hs_additional_emails.
+   * - formSubmissionsEmailFields: submission field names holding an email (case-insensitive).
+   * - formSubmissionsEmailFieldsByForm: per-form override, { [formGuid]: ['work_email', ...] }.
+   * Submissions without an email in those fields (and no contact ID) are reported as unmatched.
+   */
+  formSubmissionsEmailFields: ['email', 'e_mail'],
+  formSubmissionsEmailFieldsByForm: {},
+
+  /**
+   * Per-contact form submission metrics, from the submissions matched to each contact.
+   * - programWindow: window for inProgramWindow, like an activityWindows window
+   *   ({ relativeTo: 'contact_date_property', days: N }). null = not computed.
+   * - properties: contact property per metric (null = not written). Dates are written as midnight UTC.
+   * - copyFields: { submissionFieldName: 'contact_property' }; the most recent non-empty submitted
+   *   value is copied only when the contact's property is empty.
+   */
+  formSubmissionMetrics: {
+    enabled: false,
+    programWindow: { relativeTo: 'frm_program_start_date' },
+    properties: {
+      total: null, // e.g. 'num_form_submissions_total'
+      distinctForms: null, // e.g. 'num_distinct_forms_submitted'
+      firstSubmissionDate: null, // e.g. 'first_form_submission_date'
+      lastSubmissionDate: null, // e.g. 'last_form_submission_date'
+      lastFormName: null, // e.g. 'last_form_submitted'
+      lastPageUrl: null, // e.g. 'last_form_page_url'
+      inProgramWindow: null, // e.g. 'num_form_submissions_in_program'
+    },
+    copyFields: {
+      // how_did_you_hear_about_us: 'how_did_you_hear_about_us',
+    },
+  },
+
   /**
    * Cache form submissions to a file to speed up repeated runs.
    * - cachePath: file path (e.g. 'cache/form-submissions.json'). Falsy = no cache.
-   * - When cache exists: load it, then fetch only the newest page per form from the API and merge.
-   * - When no cache: full fetch (with limits), then save to cache.
+   * - The cache keeps a high-water mark per form (newest submittedAt and its conversion IDs); each
+   *   run pages every form until it reaches that mark, so nothing is missed between runs.
+   * - Forms that no longer exist are marked deleted; their submissions are kept.
+   * - When no cache: full fetch (with limits), then save to cache. Older cache formats are migrated.
    */
   formSubmissionsCachePath: 'cache/form-submissions.json',
 
@@ -133,6 +414,20 @@ export const config = {
    */
   eventTypeEmailOpen: null,
   eventTypeEmailClick: null,
+
+  /**
+   * Email engagement window and fetching.
+   * - emailEngagementOccurredAfter / emailEngagementOccurredBefore: only count events in this range
+   *   (YYYY-MM-DD or ISO date, UTC). null = open-ended. Filtered by the Events API, as is the event type.
+   * - emailEngagementConcurrency: contacts fetched in parallel (all requests still share rateLimit).
+   * - emailEngagementCachePath: per-contact counts and last seen event time, so repeat runs only
+   *   fetch newer events.
+   *   Changing the event types or window refetches in full. Falsy = no cache.
+   */
+  emailEngagementOccurredAfter: null,
+  emailEngagementOccurredBefore: null,
+  emailEngagementConcurrency: 4,
+  emailEngagementCachePath: 'cache/email-engagement.json',
 }
 
 export default config
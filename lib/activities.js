@@ -0,0 +1,129 @@
+/**
+ * Activity details for calls, meetings, notes and tasks: console lines and per-type summaries.
+ *
+ * Summaries (by HubSpot object type):
+ * - calls: count by disposition (label when known) and direction, total duration.
+ * - meetings: count by outcome.
+ * - tasks: completed / overdue / open, count by priority.
+ * - notes: count with a body.
+ */
+
+import { parseTimestamp, toIsoTimestamp } from './windows.js'
+
+const NOTE_PREVIEW_LENGTH = 80
+
+function increment(obj, key) {
+  const k = key == null || key === '' ? '(none)' : String(key)
+  obj[k] = (obj[k] ?? 0) + 1
+}
+
+function formatTimestamp(value) {
+  return toIsoTimestamp(value) ?? '(no date)'
+}
+
+/** Call duration (ms) as "3m 20s". */
+function formatDuration(ms) {
+  const n = Number(ms)
+  if (ms == null || ms === '' || Number.isNaN(n)) return '—'
+  const totalSeconds = Math.round(n / 1000)
+  return `${Math.floor(totalSeconds / 60)}m ${totalSeconds % 60}s`
+}
+
+/** Plain-text preview of a note body (HubSpot stores HTML). */
+export function notePreview(body) {
+  if (!body) return ''
+  const text = String(body)
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+  return text.length > NOTE_PREVIEW_LENGTH ? `${text.slice(0, NOTE_PREVIEW_LENGTH)}…` : text
+}
+
+function isTaskCompleted(details) {
+  return String(details.hs_task_status || '').toUpperCase() === 'COMPLETED'
+}
+
+/**
+ * One console line for an activity.
+ * dispositionLabels: Map<dispositionId, label> for calls (may be empty).
+ */
+export function formatActivityLine(objectType, id, details, dispositionLabels = new Map()) {
+  const ts = formatTimestamp(details.hs_timestamp)
+  switch (objectType) {
+    case 'calls': {
+      const disposition = dispositionLabels.get(details.hs_call_disposition) ?? details.hs_call_disposition ?? '—'
+      return `${id}  "${details.hs_call_title ?? '(no title)'}"  disposition: ${disposition}  direction: ${details.hs_call_direction ?? '—'}  duration: ${formatDuration(details.hs_call_duration)}  ${ts}`
+    }
+    case 'meetings':
+      return `${id}  "${details.hs_meeting_title ?? '(no title)'}"  outcome: ${details.hs_meeting_outcome ?? '—'}  start: ${details.hs_meeting_start_time ? formatTimestamp(details.hs_meeting_start_time) : '—'}`
+    case 'tasks':
+      return `${id}  "${details.hs_task_subject ?? '(no subject)'}"  status: ${details.hs_task_status ?? '—'}  priority: ${details.hs_task_priority ?? '—'}  due: ${ts}`
+    case 'notes':
+      return `${id}  "${notePreview(details.hs_note_body)}"  ${ts}`
+    default:
+      return `${id}  ${ts}`
+  }
+}
+
+/**
+ * Summarize one contact's activities of one object type.
+ * detailsList: array of property objects (activities with details only).
+ * Returns a plain object, or null for object types without a summary.
+ */
+export function summarizeActivities(objectType, detailsList, { dispositionLabels = new Map(), nowMs = Date.now() } = {}) {
+  switch (objectType) {
+    case 'calls': {
+      const summary = { byDisposition: {}, byDirection: {}, totalDurationMs: 0 }
+      for (const d of detailsList) {
+        increment(summary.byDisposition, dispositionLabels.get(d.hs_call_disposition) ?? d.hs_call_disposition)
+        increment(summary.byDirection, d.hs_call_direction)
+        const duration = Number(d.hs_call_duration)
+        if (!Number.isNaN(duration)) summary.totalDurationMs += duration
+      }
+      return summary
+    }
+    case 'meetings': {
+      const summary = { byOutcome: {} }
+      for (const d of detailsList) increment(summary.byOutcome, d.hs_meeting_outcome)
+      return summary
+    }
+    case 'tasks': {
+      const summary = { completed: 0, overdue: 0, open: 0, byPriority: {} }
+      for (const d of detailsList) {
+        increment(summary.byPriority, d.hs_task_priority)
+        if (isTaskCompleted(d)) summary.completed += 1
+        else {
+          const dueMs = parseTimestamp(d.hs_timestamp)
+          if (dueMs != null && dueMs < nowMs) summary.overdue += 1
+          else summary.open += 1
+        }
+      }
+      return summary
+    }
+    case 'notes':
+      return { withBody: detailsList.filter((d) => notePreview(d.hs_note_body)).length }
+    default:
+      return null
+  }
+}
+
+/** One-line text for a summary, e.g. "CONNECTED: 2, NO_ANSWER: 1 | OUTBOUND: 3 | total 5m 0s". */
+export function formatActivitySummary(objectType, summary) {
+  const counts = (obj) =>
+    Object.entries(obj)
+      .map(([k, n]) => `${k}: ${n}`)
+      .join(', ')
+  switch (objectType) {
+    case 'calls':
+      return `${counts(summary.byDisposition)} | ${counts(summary.byDirection)} | total ${formatDuration(summary.totalDurationMs)}`
+    case 'meetings':
+      return counts(summary.byOutcome)
+    case 'tasks':
+      return `completed: ${summary.completed}, overdue: ${summary.overdue}, open: ${summary.open} | priority ${counts(summary.byPriority)}`
+    case 'notes':
+      return `with body: ${summary.withBody}`
+    default:
+      return ''
+  }
+}
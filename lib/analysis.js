@@ -0,0 +1,811 @@
+/**
+ * runAnalysis(): the `analyze` command as a library call. Searches the primary object type, builds
+ * associations and details, computes counters and metrics per record, writes them back (or diffs
+ * them in a dry run), exports and reports. Returns the per-record results instead of only printing.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { getActivityObjectType, parseActivityTypes } from './associations.js'
+import { formatActivityLine, formatActivitySummary, summarizeActivities } from './activities.js'
+import { clearCheckpoint, hashSearchConfig, loadCheckpoint, saveCheckpoint } from './checkpoint.js'
+import { createContext } from './context.js'
+import {
+  buildAssociations,
+  fetchActivityDetails,
+  fetchCallDispositionLabels,
+  fetchContactsById,
+  fetchDealDetails,
+  fetchDealStageLabels,
+  fetchEmailDetails,
+  searchContacts,
+} from './crm.js'
+import { computeDealMetrics, DEAL_METRIC_KEYS } from './deals.js'
+import { fetchContactEmailEngagementCounts, resolveEmailEngagementEventTypes } from './events-api.js'
+import { loadEngagementCache, saveEngagementCache } from './events.js'
+import { createExportWriter, parseExportFormats } from './export.js'
+import { buildFormSubmissionIndex, reportUnmatchedFormSubmissions } from './forms-api.js'
+import { computeFormSubmissionMetrics, FORM_METRIC_KEYS, getCopiedFieldValues, matchFormSubmissions, submissionKey } from './forms.js'
+import { getPrimaryObject } from './objects.js'
+import { createCohortReport, formatReportMarkdown, formatReportTable, parseReportFormats } from './report.js'
+import { computeEngagementScore, formatScoreBreakdown, getDecayedSignals } from './scoring.js'
+import { isStalenessEnabled, loadLastRun, saveLastRun } from './staleness.js'
+import { computeTouchDates, getTouchProperties, TOUCH_DATE_KEYS, TOUCH_VALUE_KEYS, touchValues } from './touches.js'
+import {
+  buildWindowProperties,
+  computeWindowCounts,
+  getWindowContactProperties,
+  parseTimestamp,
+  resolveWindowRange,
+  toIsoTimestamp,
+} from './windows.js'
+import {
+  buildCounterProperties,
+  buildDealMetricProperties,
+  buildFormMetricProperties,
+  buildTouchProperties,
+  getTargetPropertyNames,
+  reportContactPropertyChanges,
+  writeContactProperties,
+} from './writeback.js'
+
+/**
+ * Run the analysis.
+ * Options:
+ * - ctx: a run context from createContext(); or config, accessToken, client, fetchImpl, log, error
+ *   to create one (see lib/context.js).
+ * - dryRun, resume, force: as --dry-run, --resume, --force.
+ * - collectRecords: keep every record in the result (default true); turn off for large runs and
+ *   use hooks.onContact instead.
+ * - hooks:
+ *   - onContact(record, properties): after each record is built; properties are the values to write
+ *     (null when record.incompleteAssociations is set: its associations could not all be read,
+ *     so nothing is written, exported or checkpointed for it).
+ *   - beforeWrite({ objectType, properties, contacts, dryRun }): before each page is written (or
+ *     diffed). properties is a Map<id, { property: value }> and may be changed in place; return
+ *     false to skip the write for that page.
+ *   - onPage({ pageNumber, records, nextAfter, totalProcessed }): after each page is done.
+ *   - onError(err, { stage, pageNumber, contactIds }): when a page fails. Return true to skip the
+ *     page (its IDs go to failedContactIds and the checkpoint, so --resume reads them again by ID)
+ *     and continue; otherwise the error is rethrown.
+ * Hooks may be async.
+ *
+ * Returns { objectType, totalProcessed, contactsChanged, propertiesChanged, failedContactIds,
+ * records, report } (contactsChanged / propertiesChanged are dry-run diffs; failedContactIds are
+ * from skipped pages and incomplete records; report is the cohort report when enabled).
+ */
+export async function runAnalysis(options = {}) {
+  const { dryRun = false, resume = false, force = false, collectRecords = true, hooks = {} } = options
+  let ctx = options.ctx ?? createContext(options)
+  const primary = getPrimaryObject(ctx.config.primaryObjectType)
+  if (primary.type !== 'contacts' && (ctx.config.fetchFormSubmissions || ctx.config.fetchEmailEngagementEvents)) {
+    ctx.log(`Form submissions and email engagement are matched to contacts only; skipped for ${primary.type}.`)
+    ctx = { ...ctx, config: { ...ctx.config, fetchFormSubmissions: false, fetchEmailEngagementEvents: false } }
+  }
+  // Associations from an object type to itself (e.g. deals → deals) are not counted
+  const activitySpecs = Object.fromEntries(
+    Object.entries(parseActivityTypes(ctx.config.activityTypesToCount)).filter(([, spec]) => spec.objectType !== primary.type)
+  )
+  // Counter key → object type
+  const activityTypesToCount = Object.fromEntries(Object.entries(activitySpecs).map(([key, spec]) => [key, spec.objectType]))
+  const counterKeys = Object.keys(activityTypesToCount)
+  const checkpointPath = ctx.config.checkpointPath || null
+  const configHash = hashSearchConfig(ctx.config.contactSearch, primary.type)
+  let totalProcessed = 0
+  let totalContactsChanged = 0
+  let totalPropertiesChanged = 0
+  let pageNumber = 0
+  const records = []
+  const failedContactIds = []
+
+  // Resume from checkpoint: continue after the last page that was written back
+  let checkpoint = null
+  if (resume) {
+    if (!checkpointPath) throw new Error('--resume needs checkpointPath set in the config.')
+    checkpoint = await loadCheckpoint(checkpointPath)
+    if (!checkpoint) {
+      ctx.log(`No checkpoint at ${checkpointPath}; starting from the beginning.`)
+    } else if (checkpoint.configHash !== configHash && !force) {
+      throw new Error(
+        `Checkpoint at ${checkpointPath} was taken with a different contactSearch filter/sort config. ` +
+          'Refusing to resume; use --force to resume anyway, or run without --resume to start over.'
+      )
+    } else {
+      totalProcessed = checkpoint.totalProcessed
+      ctx.log(
+        `Resuming from checkpoint (${checkpoint.totalProcessed} contact(s) already processed)` +
+          `${checkpoint.configHash !== configHash ? ' despite config change (--force)' : ''}.`
+      )
+    }
+  }
+  const processedContactIds = checkpoint?.processedContactIds ?? new Set()
+  // A resumed run started when the interrupted one did (changes after that are picked up next time)
+  const startedAt = checkpoint?.startedAt ?? Date.now()
+
+  // Time-windowed activity counts (only for types that are also counted)
+  const activityWindows = ctx.config.activityWindows?.enabled ? ctx.config.activityWindows : null
+  const windowTypes = activityWindows ? (activityWindows.types || []).filter((t) => activityTypesToCount[t]) : []
+
+  // First/last touch dates across activity types
+  const touchDates = ctx.config.touchDates?.enabled ? ctx.config.touchDates : null
+  const touchTypes = touchDates ? (touchDates.types || []).filter((t) => activityTypesToCount[t]) : []
+
+  // Form submission metrics and field copies (need the matched submissions)
+  const formMetrics = ctx.config.fetchFormSubmissions && ctx.config.formSubmissionMetrics?.enabled ? ctx.config.formSubmissionMetrics : null
+
+  // Engagement score; activity signals with recency decay need activity timestamps
+  const scoring = ctx.config.scoring?.enabled ? ctx.config.scoring : null
+  const decayedActivityTypes = scoring ? getDecayedSignals(scoring).filter((k) => activityTypesToCount[k]) : []
+
+  // End-of-run cohort report; --report/--group-by are already applied to config.report
+  const reportConfig = ctx.config.report?.enabled ? ctx.config.report : null
+  const reportFormats = reportConfig ? parseReportFormats(reportConfig.formats ?? ['table']) : []
+  const cohortReport = reportConfig ? createCohortReport({ groupBy: reportConfig.groupBy || null, objectType: primary.type }) : null
+
+  // Structured export (JSONL / CSV); --output-dir/--format are already applied to config.output
+  const outputDir = ctx.config.output?.outputDir ?? null
+  let exporter = null
+  if (outputDir) {
+    exporter = await createExportWriter({
+      outputDir,
+      formats: parseExportFormats(ctx.config.output?.formats ?? ['jsonl', 'csv']),
+      counterKeys,
+      dealMetricKeys: DEAL_METRIC_KEYS,
+      extraColumns: [
+        ...windowTypes.flatMap((type) =>
+          Object.keys(activityWindows.windows || {}).map((windowKey) => ({
+            name: `${type}_${windowKey}`,
+            value: (record) => record.windowCounts?.[type]?.[windowKey],
+          }))
+        ),
+        ...(touchDates
+          ? TOUCH_VALUE_KEYS.map((key) => ({
+              name: key,
+              value: (record) => record.touches?.[key],
+            }))
+          : []),
+        ...(formMetrics
+          ? FORM_METRIC_KEYS.map((key) => ({
+              name: `form_${key}`,
+              value: (record) => record.formMetrics?.[key],
+            }))
+          : []),
+        ...(scoring
+          ? [
+              { name: 'engagementScore', value: (record) => record.score?.score },
+              { name: 'engagementTier', value: (record) => record.score?.tier },
+            ]
+          : []),
+      ],
+      contactProperties: ctx.config.contactSearch.properties,
+      idColumn: primary.idColumn,
+      append: Boolean(checkpoint),
+    })
+    ctx.log('Exporting to:', exporter.files.join(', '))
+  }
+
+  const dealStages = await fetchDealStageLabels(ctx)
+
+  // Incremental run: only records the staleness policy says are due
+  const staleness = isStalenessEnabled(ctx.config) ? ctx.config.staleness : null
+  const lastRun = staleness?.statePath ? await loadLastRun(staleness.statePath, primary.type) : null
+  // When each record was written back, so the next incremental run can tell our writes from changes
+  const writtenAt = new Map()
+
+  ctx.log(`Starting HubSpot ${primary.label} analysis...${dryRun ? ' (dry run: no changes will be written)' : ''}`)
+  ctx.log(`${primary.label[0].toUpperCase()}${primary.label.slice(1)} search:`, JSON.stringify(ctx.config.contactSearch.filterGroups, null, 2))
+  if (staleness) ctx.log(`Incremental: ${describeStaleness(staleness, lastRun?.startedAt ?? null)}`)
+  ctx.log('Counters:', counterKeys.join(', '))
+  if (activityWindows) {
+    ctx.log('Activity windows:', Object.keys(activityWindows.windows || {}).join(', '), `(${windowTypes.join(', ')})`)
+  }
+
+  let eventTypeOpen = null
+  let eventTypeClick = null
+  let engagementCache = null
+  if (ctx.config.fetchEmailEngagementEvents) {
+    const resolved = await resolveEmailEngagementEventTypes(ctx)
+    eventTypeOpen = resolved.eventTypeOpen
+    eventTypeClick = resolved.eventTypeClick
+    if (eventTypeOpen || eventTypeClick) {
+      ctx.log('Events API (email engagement):', { open: eventTypeOpen ?? '—', click: eventTypeClick ?? '—' })
+      if (ctx.config.emailEngagementCachePath) {
+        engagementCache = await loadEngagementCache(ctx.config.emailEngagementCachePath)
+        ctx.log(`Email engagement cache: ${engagementCache.size} contact(s) in ${ctx.config.emailEngagementCachePath}.`)
+      }
+    } else {
+      ctx.log('Events API: no email open/click event types found (Enterprise tier may be required).')
+    }
+  }
+
+  let formSubmissionIndex = null
+  const matchedSubmissionKeys = new Set()
+  if (ctx.config.fetchFormSubmissions) {
+    ctx.log('Fetching form submissions (Forms API)...')
+    formSubmissionIndex = await buildFormSubmissionIndex(ctx)
+    ctx.log(
+      `Form submissions indexed: ${formSubmissionIndex.total} submission(s), ${formSubmissionIndex.byEmail.size} email(s), ` +
+        `${formSubmissionIndex.byContactId.size} contact ID(s).`
+    )
+  }
+  ctx.log('')
+
+  // Activity details for calls, meetings, notes, tasks (emails use emailActivityProperties)
+  const detailTypes = Object.keys(ctx.config.activityDetailProperties || {}).filter(
+    (t) => activityTypesToCount[t] && activityTypesToCount[t] !== 'emails'
+  )
+  const dispositionLabels = detailTypes.some((t) => activityTypesToCount[t] === 'calls')
+    ? await fetchCallDispositionLabels(ctx)
+    : new Map()
+
+  // Properties to batch-read per activity type: details, plus what time windows and touch dates need
+  const activityPropertiesByType = {}
+  const addActivityProperties = (type, props) => {
+    activityPropertiesByType[type] = [...(activityPropertiesByType[type] || []), ...props]
+  }
+  for (const type of detailTypes) addActivityProperties(type, ctx.config.activityDetailProperties[type])
+  for (const type of windowTypes) addActivityProperties(type, ['hs_timestamp'])
+  for (const type of touchTypes) addActivityProperties(type, getTouchProperties(activityTypesToCount[type]))
+  for (const type of decayedActivityTypes) addActivityProperties(type, ['hs_timestamp'])
+  const emailExtraProperties = Object.entries(activityPropertiesByType)
+    .filter(([type]) => activityTypesToCount[type] === 'emails')
+    .flatMap(([, props]) => props)
+
+  // Fetch, compute and print one page of records; returns them with the property values to write
+  const analyzePage = async (page) => {
+    const contactIds = page.map((c) => c.id)
+    const { associationsByContact, incomplete } = await buildAssociations(ctx, contactIds, activitySpecs)
+
+    const allDealIds = []
+    const allEmailIds = []
+    for (const assoc of associationsByContact.values()) {
+      allDealIds.push(...(assoc.deals || []))
+      allEmailIds.push(...(assoc.emails || []))
+    }
+    const dealDetails = await fetchDealDetails(ctx, allDealIds)
+    const emailDetails = await fetchEmailDetails(ctx, allEmailIds, emailExtraProperties)
+    const activityDetails = await fetchActivityDetails(ctx, associationsByContact, activityPropertiesByType)
+    const activityTimestamps = activityWindows
+      ? buildActivityTimestamps(associationsByContact, windowTypes, activityTypesToCount, activityDetails, emailDetails)
+      : {}
+    let emailEngagementByContact = new Map()
+    if (ctx.config.fetchEmailEngagementEvents && (eventTypeOpen || eventTypeClick)) {
+      emailEngagementByContact = await fetchContactEmailEngagementCounts(
+        ctx,
+        contactIds,
+        eventTypeOpen,
+        eventTypeClick,
+        engagementCache
+      )
+      if (engagementCache) await saveEngagementCache(ctx.config.emailEngagementCachePath, engagementCache)
+    }
+
+    const propertiesByContactId = new Map()
+    const pageRecords = []
+
+    for (const contact of page) {
+      const associations = associationsByContact.get(contact.id) || {}
+      const name = primary.name(contact.properties || {})
+
+      ctx.log(`  ${primary.label[0].toUpperCase()}${primary.label.slice(1)}: ${contact.id}  ${primary.describe(contact.properties || {})}`)
+      const record = {
+        objectType: primary.type,
+        contactId: String(contact.id),
+        email: contact.properties?.email ?? null,
+        name,
+        properties: contact.properties || {},
+        counts: {},
+        deals: [],
+        emails: [],
+        dealMetrics: null,
+        windowCounts: null,
+        touches: null,
+        score: null,
+        formMetrics: null,
+        copiedFields: null,
+        emailStatusSummary: null,
+        emailEngagement: null,
+        activities: {},
+        activitySummaries: {},
+        formSubmissions: [],
+        incompleteAssociations: incomplete.get(String(contact.id)) ?? null,
+      }
+      ctx.log(`    Counts: ${counterKeys.map((k) => `${k}: ${(associations[k] || []).length}`).join(', ')}`)
+      if (record.incompleteAssociations) {
+        ctx.error(`    Incomplete associations, nothing will be written: ${record.incompleteAssociations.join('; ')}`)
+      }
+
+      // Form submissions (matched by contact ID, email, then additional emails)
+      const formSubmissions = formSubmissionIndex
+        ? matchFormSubmissions(formSubmissionIndex, contact.id, contact.properties || {})
+        : []
+      for (const sub of formSubmissions) matchedSubmissionKeys.add(submissionKey(sub))
+
+      // Counters to write back (only those with a mapped property in customProperties)
+      const counters = {}
+      for (const key of counterKeys) counters[key] = (associations[key] || []).length
+      if (ctx.config.fetchEmailEngagementEvents && (eventTypeOpen || eventTypeClick)) {
+        // null when the contact's events were not fetched: the stored values are left alone
+        const engagementCounts = emailEngagementByContact.get(contact.id)
+        if (eventTypeOpen) counters.emailOpens = engagementCounts?.opens ?? null
+        if (eventTypeClick) counters.emailClicks = engagementCounts?.clicks ?? null
+      }
+      if (ctx.config.fetchFormSubmissions) counters.formSubmissions = formSubmissions.length
+      record.counts = counters
+
+      // Deal analytics: open / won / lost, amounts, last close date
+      const dealMetrics = computeDealMetrics(associations.deals || [], dealDetails, dealStages)
+      record.dealMetrics = {
+        ...dealMetrics,
+        lastCloseDate: dealMetrics.lastCloseDate != null ? new Date(dealMetrics.lastCloseDate).toISOString() : null,
+      }
+
+      // Activity counts per time window (e.g. calls in the last 90 days)
+      let windowCounts = null
+      if (activityWindows) {
+        windowCounts = computeWindowCounts(
+          associations,
+          activityTimestamps,
+          { types: windowTypes, windows: activityWindows.windows },
+          contact.properties
+        )
+        record.windowCounts = windowCounts
+        for (const windowKey of Object.keys(activityWindows.windows || {})) {
+          const parts = windowTypes.map((t) => `${t}: ${windowCounts[t][windowKey] ?? '—'}`)
+          ctx.log(`    Activity ${windowKey}: ${parts.join(', ')}`)
+        }
+      }
+
+      // First/last touch across activity types, most recent touch type and direction
+      let touches = null
+      if (touchDates) {
+        const detailsByType = {}
+        for (const type of touchTypes) {
+          detailsByType[type] = activityTypesToCount[type] === 'emails' ? emailDetails : activityDetails[type]
+        }
+        touches = computeTouchDates(associations, touchTypes, detailsByType, activityTypesToCount)
+        record.touches = formatTouchValues(touches)
+        if (touches.lastTouch != null) {
+          ctx.log(
+            `    Touches: first: ${record.touches.firstTouchDate}, last: ${record.touches.lastTouchDate} ` +
+              `(${touches.lastTouchType}${touches.lastTouchDirection ? `, ${touches.lastTouchDirection}` : ''}), ` +
+              `${touches.daysSinceLastTouch} day(s) ago`
+          )
+        }
+      }
+
+      propertiesByContactId.set(contact.id, {
+        ...buildCounterProperties(counters, ctx.config.customProperties),
+        ...buildDealMetricProperties(ctx.config, dealMetrics),
+        ...(windowCounts ? buildWindowProperties(windowCounts, activityWindows.properties) : {}),
+        ...(touches ? buildTouchProperties(ctx.config, touches) : {}),
+      })
+
+      if (formMetrics) {
+        const programRange = formMetrics.programWindow ? resolveWindowRange(formMetrics.programWindow, contact.properties, Date.now()) : null
+        const metrics = computeFormSubmissionMetrics(formSubmissions, programRange)
+        const copies = getCopiedFieldValues(formSubmissions, formMetrics.copyFields, contact.properties || {})
+        record.formMetrics = {
+          ...metrics,
+          firstSubmissionDate: toIsoTimestamp(metrics.firstSubmissionDate),
+          lastSubmissionDate: toIsoTimestamp(metrics.lastSubmissionDate),
+        }
+        record.copiedFields = copies
+        if (metrics.total > 0) {
+          ctx.log(
+            `    Form metrics: ${metrics.total} submission(s), ${metrics.distinctForms} form(s), ` +
+              `first: ${record.formMetrics.firstSubmissionDate ?? '—'}, last: ${record.formMetrics.lastSubmissionDate ?? '—'} ` +
+              `("${metrics.lastFormName ?? '—'}"), in program window: ${metrics.inProgramWindow ?? '—'}`
+          )
+        }
+        for (const [propertyName, value] of Object.entries(copies)) ctx.log(`    Copy from form: ${propertyName} = ${value}`)
+        Object.assign(propertiesByContactId.get(contact.id), buildFormMetricProperties(ctx.config, metrics, copies))
+      }
+
+      record.formSubmissions = formSubmissions.map((sub) => ({
+        formName: sub.formName,
+        formGuid: sub.formGuid,
+        submittedAt: toIsoTimestamp(sub.submittedAt),
+        pageUrl: sub.pageUrl ?? null,
+        conversionId: sub.conversionId ?? null,
+        matchedBy: sub.matchedBy,
+        values: sub.values ?? [],
+      }))
+      if (formSubmissions.length > 0) {
+        ctx.log(`    Form submissions (${formSubmissions.length}):`)
+        for (const sub of formSubmissions) {
+          const submittedAtStr = sub.submittedAt
+            ? (typeof sub.submittedAt === 'number'
+              ? new Date(sub.submittedAt).toISOString()
+              : String(sub.submittedAt))
+            : '(no date)'
+          ctx.log(`      - Form: "${sub.formName}" (guid: ${sub.formGuid}, matched by ${sub.matchedBy})`)
+          ctx.log(`        Submitted: ${submittedAtStr}`)
+          if (sub.pageUrl) ctx.log(`        Page URL: ${sub.pageUrl}`)
+          if (sub.conversionId) ctx.log(`        Conversion ID: ${sub.conversionId}`)
+          if (Array.isArray(sub.values) && sub.values.length > 0) {
+            const fields = sub.values.map((v) => `${v.name}=${v.value}`).join(', ')
+            ctx.log(`        Fields: ${fields}`)
+          }
+        }
+      }
+
+      // Loop over each deal
+      const dealIds = associations.deals || []
+      for (const dealId of dealIds) {
+        const details = dealDetails.get(dealId) || { dealname: '(unknown)', amount: '(unknown)', dealstage: '(unknown)' }
+        const stageName = details.dealstage ? (dealStages.get(String(details.dealstage))?.label ?? details.dealstage) : '(no stage)'
+        ctx.log(`      Deal: ${dealId}  "${details.dealname}"  amount: ${details.amount}  stage: ${stageName}`)
+        record.deals.push({ id: dealId, ...details, stageLabel: stageName })
+      }
+      if (dealIds.length > 0) {
+        ctx.log(
+          `    Deal summary: open: ${dealMetrics.openDeals}, won: ${dealMetrics.wonDeals}, lost: ${dealMetrics.lostDeals}, ` +
+            `total amount: ${dealMetrics.totalAmount}, won amount: ${dealMetrics.wonAmount}, ` +
+            `last close: ${record.dealMetrics.lastCloseDate ?? '—'}`
+        )
+      }
+
+      // Email activity: show each email with subject, status, timestamp, direction
+      const emailIds = associations.emails || []
+      if (emailIds.length > 0) {
+        const byStatus = { SENT: 0, BOUNCED: 0, FAILED: 0, SCHEDULED: 0, SENDING: 0, other: 0 }
+        ctx.log(`    Email activity (${emailIds.length} email(s)):`)
+        for (const emailId of emailIds) {
+          const details = emailDetails.get(emailId)
+          if (details) {
+            const status = (details.hs_email_status || '').toUpperCase()
+            if (status === 'SENT') byStatus.SENT += 1
+            else if (status === 'BOUNCED') byStatus.BOUNCED += 1
+            else if (status === 'FAILED') byStatus.FAILED += 1
+            else if (status === 'SCHEDULED') byStatus.SCHEDULED += 1
+            else if (status === 'SENDING') byStatus.SENDING += 1
+            else byStatus.other += 1
+            const ts = details.hs_timestamp
+              ? (typeof details.hs_timestamp === 'number'
+                ? new Date(details.hs_timestamp).toISOString()
+                : String(details.hs_timestamp))
+              : '(no date)'
+            ctx.log(`      - ${emailId}  subject: "${details.hs_email_subject}"  status: ${details.hs_email_status}  direction: ${details.hs_email_direction ?? '—'}  ${ts}`)
+            record.emails.push({
+              id: emailId,
+              subject: details.hs_email_subject,
+              status: details.hs_email_status,
+              direction: details.hs_email_direction ?? null,
+              timestamp: toIsoTimestamp(details.hs_timestamp),
+            })
+          } else {
+            ctx.log(`      - ${emailId}  (details not found)`)
+          }
+        }
+        const summary = Object.entries(byStatus)
+          .filter(([, n]) => n > 0)
+          .map(([k, n]) => `${k}: ${n}`)
+          .join(', ')
+        if (summary) ctx.log(`    Email summary: ${summary}`)
+        record.emailStatusSummary = byStatus
+      }
+
+      // Email engagement from Events API (opens, clicks)
+      const engagement = emailEngagementByContact.get(contact.id)
+      record.emailEngagement = engagement ?? null
+      if (engagement && (engagement.opens > 0 || engagement.clicks > 0)) {
+        ctx.log(`    Email engagement (Events API): opens: ${engagement.opens}, clicks: ${engagement.clicks}`)
+      }
+
+      // Loop over each activity (calls, meetings, notes, tasks) – emails already shown above
+      for (const activityType of counterKeys) {
+        const objectType = activityTypesToCount[activityType]
+        if (objectType === 'deals' || objectType === 'emails') continue
+        const ids = associations[activityType] || []
+        const details = activityDetails[activityType]
+        if (!details || !detailTypes.includes(activityType)) {
+          record.activities[activityType] = ids.map((id) => ({ id }))
+          for (const activityId of ids) {
+            ctx.log(`      ${activityType}: ${activityId}`)
+          }
+          continue
+        }
+        record.activities[activityType] = ids.map((id) => ({ id, ...(details.get(id) || {}) }))
+        if (ids.length === 0) continue
+        ctx.log(`    ${activityType} (${ids.length}):`)
+        for (const activityId of ids) {
+          const d = details.get(activityId)
+          ctx.log(
+            d ? `      - ${formatActivityLine(objectType, activityId, d, dispositionLabels)}` : `      - ${activityId}  (details not found)`
+          )
+        }
+        const found = ids.map((id) => details.get(id)).filter(Boolean)
+        const summary = summarizeActivities(objectType, found, { dispositionLabels })
+        if (summary) {
+          record.activitySummaries[activityType] = summary
+          ctx.log(`    ${activityType} summary: ${formatActivitySummary(objectType, summary)}`)
+        }
+      }
+
+      // Engagement score from the signals above
+      if (scoring) {
+        const score = computeEngagementScore(
+          {
+            counts: { ...counters, ...dealMetrics },
+            timestamps: collectSignalTimestamps(
+              associations,
+              decayedActivityTypes,
+              activityTypesToCount,
+              activityDetails,
+              emailDetails,
+              formSubmissions,
+              scoring
+            ),
+            emailStatus: record.emailStatusSummary ?? {},
+          },
+          scoring
+        )
+        record.score = score
+        ctx.log(`    Engagement score: ${formatScoreBreakdown(score)}`)
+        // A score missing unfetched email engagement would be too low; leave the stored score alone
+        const unfetched = ['emailOpens', 'emailClicks'].filter((key) => counters[key] === null && scoring.signals?.[key])
+        if (unfetched.length > 0) {
+          ctx.error(`    Engagement score not written: ${unfetched.join(', ')} could not be fetched`)
+        } else {
+          Object.assign(
+            propertiesByContactId.get(contact.id),
+            buildCounterProperties({ score: score.score, tier: score.tier }, scoring.properties || {})
+          )
+        }
+      }
+      ctx.log('')
+      // Counts from a partial association read would be too low; leave the stored values alone
+      if (record.incompleteAssociations) propertiesByContactId.delete(contact.id)
+      pageRecords.push(record)
+      if (hooks.onContact) await hooks.onContact(record, propertiesByContactId.get(contact.id) ?? null)
+    }
+    return { pageRecords, propertiesByContactId }
+  }
+
+  const extraProperties = [
+    ...(activityWindows ? getWindowContactProperties(activityWindows.windows) : []),
+    ...(dryRun ? getTargetPropertyNames(ctx.config) : []),
+    ...(reportConfig?.groupBy ? [reportConfig.groupBy] : []),
+    ...(ctx.config.fetchFormSubmissions ? ['email', 'hs_additional_emails'] : []),
+    ...(formMetrics ? getWindowContactProperties({ program: formMetrics.programWindow }) : []),
+    ...(formMetrics ? Object.values(formMetrics.copyFields || {}).filter(Boolean) : []),
+  ]
+  // Search position for the checkpoint; records behind it that were not written back are retried by ID
+  let searchCursor = checkpoint?.after ?? null
+  let searchDone = checkpoint?.searchDone ?? false
+  const retryIds = (checkpoint?.failedContactIds ?? []).filter((id) => !processedContactIds.has(id))
+  const pendingRetryIds = new Set(retryIds)
+  const saveProgress = () =>
+    saveCheckpoint(checkpointPath, {
+      configHash,
+      after: searchCursor,
+      searchDone,
+      startedAt,
+      processedContactIds,
+      failedContactIds: [...failedContactIds, ...pendingRetryIds],
+      totalProcessed,
+    })
+
+  const pages = (async function* () {
+    if (retryIds.length > 0) ctx.log(`Retrying ${retryIds.length} ${primary.label}(s) not written back before the checkpoint.\n`)
+    const pageSize = Math.min(ctx.config.contactSearch.limit, 200)
+    for (let i = 0; i < retryIds.length; i += pageSize) {
+      const ids = retryIds.slice(i, i + pageSize)
+      const contacts = await fetchContactsById(ctx, ids, { extraProperties })
+      const found = new Set(contacts.map((c) => c.id))
+      const gone = ids.filter((id) => !found.has(id))
+      if (gone.length > 0) ctx.log(`  ${gone.length} ${primary.label}(s) no longer exist: ${gone.join(', ')}\n`)
+      for (const id of gone) pendingRetryIds.delete(id)
+      yield { contacts, retry: true }
+    }
+    if (searchDone) return
+    for await (const { contacts, nextAfter } of searchContacts(ctx, {
+      extraProperties,
+      after: searchCursor,
+      alreadyFetched: checkpoint?.totalProcessed ?? 0,
+      lastRun,
+    })) {
+      yield { contacts, nextAfter }
+    }
+    searchDone = true
+  })()
+  for await (const { contacts, nextAfter, retry = false } of pages) {
+    if (!retry) searchCursor = nextAfter
+    // Skip contacts a previous (interrupted) run already wrote back
+    const page = contacts.filter((c) => !processedContactIds.has(String(c.id)))
+    const contactIds = page.map((c) => c.id)
+    if (retry) for (const id of contactIds) pendingRetryIds.delete(String(id))
+    if (contactIds.length === 0) continue
+    pageNumber += 1
+
+    let stage = 'analyze'
+    let pageRecords
+    try {
+      const analyzed = await analyzePage(page)
+      pageRecords = analyzed.pageRecords
+      const properties = analyzed.propertiesByContactId
+      stage = 'write'
+      const write = hooks.beforeWrite
+        ? await hooks.beforeWrite({ objectType: primary.type, properties, contacts: page, dryRun })
+        : true
+      if (write === false) {
+        ctx.log(`  Page ${pageNumber}: write skipped by beforeWrite hook.`)
+      } else if (dryRun) {
+        const contactsById = new Map(page.map((c) => [String(c.id), c]))
+        const { contactsChanged, propertiesChanged } = reportContactPropertyChanges(ctx, contactsById, properties)
+        totalContactsChanged += contactsChanged
+        totalPropertiesChanged += propertiesChanged
+      } else {
+        await writeContactProperties(ctx, properties)
+        const writtenMs = Date.now()
+        for (const id of properties.keys()) writtenAt.set(String(id), writtenMs)
+      }
+    } catch (err) {
+      if (!(hooks.onError && (await hooks.onError(err, { stage, pageNumber, contactIds })))) throw err
+      ctx.error(`  Page ${pageNumber} failed (${stage}): ${err.message}; skipped ${contactIds.length} ${primary.label}(s).\n`)
+      failedContactIds.push(...contactIds.map(String))
+      if (checkpointPath && !dryRun) await saveProgress()
+      continue
+    }
+    // Export, report and count only complete records of pages that went through
+    const completeRecords = pageRecords.filter((record) => !record.incompleteAssociations)
+    for (const record of completeRecords) {
+      if (exporter) exporter.writeContact(record)
+      if (cohortReport) cohortReport.add(record)
+    }
+    failedContactIds.push(...pageRecords.filter((record) => record.incompleteAssociations).map((record) => record.contactId))
+    if (collectRecords) records.push(...pageRecords)
+    totalProcessed += completeRecords.length
+    if (checkpointPath && !dryRun) {
+      for (const record of completeRecords) processedContactIds.add(record.contactId)
+      await saveProgress()
+    }
+    ctx.log(`  --- page done, ${totalProcessed} total so far ---\n`)
+    if (hooks.onPage) await hooks.onPage({ pageNumber, records: pageRecords, nextAfter: searchCursor, totalProcessed })
+  }
+
+  // With records left to retry, keep the checkpoint (marked as past the end of the search) so
+  // --resume reads just those again
+  if (checkpointPath && !dryRun) {
+    if (failedContactIds.length === 0) await clearCheckpoint(checkpointPath)
+    else await saveProgress()
+  }
+  if (formSubmissionIndex) {
+    const unidentified = reportUnmatchedFormSubmissions(ctx, formSubmissionIndex, matchedSubmissionKeys)
+    if (exporter) await exporter.writeUnmatchedFormSubmissions(unidentified)
+  }
+  if (exporter) {
+    await exporter.close()
+    ctx.log('Export written:', exporter.files.join(', '))
+  }
+
+  const report = cohortReport ? cohortReport.build() : null
+  if (report) await writeCohortReport(ctx, report, reportFormats, reportConfig.outputDir ?? outputDir)
+
+  ctx.log(`Done. Total ${primary.type} processed:`, totalProcessed)
+  if (dryRun) {
+    ctx.log(
+      `Dry run: ${totalContactsChanged} of ${totalProcessed} ${primary.label}(s) would change (${totalPropertiesChanged} property value(s)). Nothing was written.`
+    )
+    const dateProp = ctx.config.analysisCompletedDateProperty
+    if (dateProp) ctx.log(`Dry run: ${dateProp} would be set to today on every ${primary.label} written (not counted above).`)
+  }
+  if (failedContactIds.length > 0) {
+    ctx.error(`${failedContactIds.length} ${primary.label}(s) skipped after errors: ${failedContactIds.join(', ')}`)
+  }
+  // The next incremental run looks for changes since this run started, so only record a run that
+  // covered every due record
+  if (staleness?.statePath && !dryRun) {
+    const maxContacts = ctx.config.contactSearch.maxContacts
+    if (failedContactIds.length > 0 || (maxContacts > 0 && totalProcessed >= maxContacts)) {
+      ctx.log('Incremental: run incomplete (errors or maxContacts); last run time not updated.')
+    } else {
+      await saveLastRun(staleness.statePath, primary.type, { startedAt, writtenAt })
+    }
+  }
+  return {
+    objectType: primary.type,
+    totalProcessed,
+    contactsChanged: totalContactsChanged,
+    propertiesChanged: totalPropertiesChanged,
+    failedContactIds,
+    records,
+    report,
+  }
+}
+
+/** The staleness policy in words, for the run header. */
+function describeStaleness(policy, lastRunAt) {
+  const clauses = []
+  if (policy.neverAnalyzed !== false) clauses.push('never analyzed')
+  if (policy.maxAgeDays > 0) clauses.push(`analyzed more than ${policy.maxAgeDays} day(s) ago`)
+  const changed = policy.changedProperties || []
+  if (changed.length > 0 && lastRunAt != null) {
+    clauses.push(`${changed.join(' or ')} since the last run started (${new Date(lastRunAt).toISOString()})`)
+  }
+  if (changed.length > 0 && lastRunAt == null) return 'no previous run recorded; analyzing every matching record.'
+  return `re-analyzing records ${clauses.join(', or ')}.`
+}
+
+/**
+ * hs_timestamp per activity for the windowed types, as Map<activityId, ms|null> per type key,
+ * taken from the already fetched activity and email details.
+ */
+function buildActivityTimestamps(associationsByContact, types, activityTypesToCount, activityDetails, emailDetails) {
+  const timestampsByType = {}
+  for (const type of types) {
+    const details = getActivityObjectType(activityTypesToCount[type]) === 'emails' ? emailDetails : activityDetails[type] || new Map()
+    const timestamps = new Map()
+    for (const assoc of associationsByContact.values()) {
+      for (const id of assoc[type] || []) timestamps.set(id, parseTimestamp(details.get(id)?.hs_timestamp))
+    }
+    timestampsByType[type] = timestamps
+  }
+  return timestampsByType
+}
+
+/**
+ * Timestamps (ms, past only) per scoring signal for recency decay: activity types from their
+ * hs_timestamp, formSubmissions from submittedAt.
+ */
+function collectSignalTimestamps(
+  associations,
+  activityTypes,
+  activityTypesToCount,
+  activityDetails,
+  emailDetails,
+  formSubmissions,
+  scoring
+) {
+  const nowMs = Date.now()
+  const timestamps = {}
+  for (const type of activityTypes) {
+    const details = getActivityObjectType(activityTypesToCount[type]) === 'emails' ? emailDetails : activityDetails[type] || new Map()
+    timestamps[type] = (associations[type] || [])
+      .map((id) => parseTimestamp(details.get(id)?.hs_timestamp))
+      .filter((ts) => ts != null && ts <= nowMs)
+  }
+  if (scoring?.signals?.formSubmissions?.halfLifeDays > 0) {
+    timestamps.formSubmissions = formSubmissions
+      .map((sub) => parseTimestamp(sub.submittedAt))
+      .filter((ts) => ts != null && ts <= nowMs)
+  }
+  return timestamps
+}
+
+/**
+ * Touch values for output: dates as ISO strings, per-type first/last included.
+ */
+function formatTouchValues(touches) {
+  const values = touchValues(touches)
+  for (const key of TOUCH_DATE_KEYS) values[key] = toIsoTimestamp(values[key])
+  values.byType = {}
+  for (const [type, { first, last }] of Object.entries(touches.byType)) {
+    values.byType[type] = { first: toIsoTimestamp(first), last: toIsoTimestamp(last) }
+  }
+  return values
+}
+
+/**
+ * Print and/or save the cohort report. table goes to the console; json and markdown are written to
+ * cohort_report.json / cohort_report.md in outputDir, or printed when there is no outputDir.
+ */
+async function writeCohortReport(ctx, report, formats, outputDir) {
+  const rendered = {
+    json: () => JSON.stringify(report, null, 2) + '\n',
+    markdown: () => formatReportMarkdown(report),
+  }
+  const fileNames = { json: 'cohort_report.json', markdown: 'cohort_report.md' }
+  if (formats.includes('table')) ctx.log(`\n${formatReportTable(report)}\n`)
+  for (const format of formats.filter((f) => rendered[f])) {
+    if (outputDir) {
+      await fs.mkdir(outputDir, { recursive: true })
+      const filePath = path.join(outputDir, fileNames[format])
+      await fs.writeFile(filePath, rendered[format](), 'utf-8')
+      ctx.log('Cohort report written:', filePath)
+    } else {
+      ctx.log(rendered[format]())
+    }
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * activityTypesToCount entries: parsing, and filtering associations by association type and by
+ * properties of the associated objects.
+ *
+ * An entry is either an object type ('deals', a custom object type ID like '2-1234567') or
+ * { objectType, associationTypeIds, associationLabels, filters } where
+ * - associationTypeIds / associationLabels: only count associations with one of these type IDs or
+ *   labels (from the v4 associations response; labels compare case-insensitively)
+ * - filters: [{ propertyName, operator, value | values | highValue }] on the associated objects,
+ *   with the CRM search operators; all must match.
+ */
+
+/**
+ * Normalize one activityTypesToCount entry to
+ * { objectType, associationTypeIds: number[], associationLabels: string[], filters: object[] }.
+ */
+export function parseActivityType(entry) {
+  if (entry == null || typeof entry !== 'object') {
+    return { objectType: entry, associationTypeIds: [], associationLabels: [], filters: [] }
+  }
+  return {
+    objectType: entry.objectType,
+    associationTypeIds: (entry.associationTypeIds || []).map(Number),
+    associationLabels: (entry.associationLabels || []).map(String),
+    filters: entry.filters || [],
+  }
+}
+
+/** Normalize every activityTypesToCount entry. Returns { [key]: parsed entry }. */
+export function parseActivityTypes(activityTypesToCount) {
+  return Object.fromEntries(Object.entries(activityTypesToCount || {}).map(([key, entry]) => [key, parseActivityType(entry)]))
+}
+
+/** Object type of an activityTypesToCount entry (string or object form). */
+export function getActivityObjectType(entry) {
+  return parseActivityType(entry).objectType
+}
+
+/**
+ * Whether a v4 association (one item of a result's `to` list) passes the entry's association type
+ * filter. Entries without associationTypeIds or associationLabels keep every association.
+ */
+export function matchesAssociationType(spec, to) {
+  const ids = spec.associationTypeIds || []
+  const labels = (spec.associationLabels || []).map((l) => l.toLowerCase())
+  if (ids.length === 0 && labels.length === 0) return true
+  return (to.associationTypes || []).some(
+    (t) => ids.includes(Number(t.typeId)) || (t.label != null && labels.includes(String(t.label).toLowerCase()))
+  )
+}
+
+/** Number, or ms for ISO dates (HubSpot returns date properties as YYYY-MM-DD, filters use ms). */
+function toComparable(value) {
+  const s = String(value ?? '')
+  if (s !== '' && !Number.isNaN(Number(s))) return Number(s)
+  if (/^\d{4}-\d{2}-\d{2}/.test(s)) {
+    const ms = new Date(s).getTime()
+    if (!Number.isNaN(ms)) return ms
+  }
+  return null
+}
+
+function compare(a, b) {
+  const na = toComparable(a)
+  const nb = toComparable(b)
+  if (na != null && nb != null) return na - nb
+  return String(a).localeCompare(String(b))
+}
+
+function hasToken(value, token) {
+  const needle = String(token ?? '').toLowerCase()
+  if (needle.includes('*')) {
+    const re = new RegExp(`^${needle.split('*').map((s) => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`)
+    return String(value).toLowerCase().split(/[\s;,]+/).some((t) => re.test(t))
+  }
+  return String(value).toLowerCase().split(/[\s;,]+/).includes(needle)
+}
+
+/** Whether one object's properties match one filter. Unknown operators never match. */
+export function matchesPropertyFilter(properties, filter) {
+  const raw = properties?.[filter.propertyName]
+  const present = raw != null && raw !== ''
+  const value = present ? String(raw) : ''
+  switch (filter.operator) {
+    case 'HAS_PROPERTY':
+      return present
+    case 'NOT_HAS_PROPERTY':
+      return !present
+    case 'EQ':
+      return present && value.toLowerCase() === String(filter.value).toLowerCase()
+    case 'NEQ':
+      return !present || value.toLowerCase() !== String(filter.value).toLowerCase()
+    case 'IN':
+      return present && (filter.values || []).some((v) => value.toLowerCase() === String(v).toLowerCase())
+    case 'NOT_IN':
+      return !present || !(filter.values || []).some((v) => value.toLowerCase() === String(v).toLowerCase())
+    case 'LT':
+      return present && compare(value, filter.value) < 0
+    case 'LTE':
+      return present && compare(value, filter.value) <= 0
+    case 'GT':
+      return present && compare(value, filter.value) > 0
+    case 'GTE':
+      return present && compare(value, filter.value) >= 0
+    case 'BETWEEN':
+      return present && compare(value, filter.value) >= 0 && compare(value, filter.highValue) <= 0
+    case 'CONTAINS_TOKEN':
+      return present && hasToken(value, filter.value)
+    case 'NOT_CONTAINS_TOKEN':
+      return !present || !hasToken(value, filter.value)
+    default:
+      return false
+  }
+}
+
+/** Whether one object's properties match all filters. */
+export function matchesPropertyFilters(properties, filters) {
+  return (filters || []).every((filter) => matchesPropertyFilter(properties, filter))
+}
@@ -0,0 +1,86 @@
+/**
+ * Run checkpoint: lets an interrupted analysis resume from the last completed search page.
+ *
+ * File contents: { version, configHash, after, searchDone, processedContactIds, failedContactIds,
+ * totalProcessed, startedAt, updatedAt }. startedAt is when the interrupted run started.
+ * `after` is the contact search cursor for the next page still to process: the Search API's paging
+ * cursor, or { afterObjectId } when the search is sliced past 10,000 results (see searchContacts()).
+ * searchDone is set once the search was read to the end. failedContactIds are records behind the
+ * cursor that were not written back (skipped pages, incomplete associations); a resumed run reads
+ * them again by ID before continuing the search.
+ */
+
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+
+const CHECKPOINT_VERSION = 1
+
+/**
+ * Hash of the parts of the config that decide which contacts a run visits (object type, filters, sorts).
+ * A checkpoint taken under a different hash points into a different result set.
+ */
+export function hashSearchConfig(contactSearch, objectType = 'contacts') {
+  const relevant = {
+    objectType,
+    filterGroups: contactSearch.filterGroups ?? [],
+    sorts: contactSearch.sorts ?? [],
+  }
+  return crypto.createHash('sha256').update(JSON.stringify(relevant)).digest('hex')
+}
+
+/**
+ * Load checkpoint from file. Returns { configHash, after, searchDone, processedContactIds: Set,
+ * failedContactIds: string[], totalProcessed, startedAt } or null.
+ */
+export async function loadCheckpoint(checkpointPath) {
+  try {
+    const json = await fs.readFile(checkpointPath, 'utf-8')
+    const data = JSON.parse(json)
+    if (data.version !== CHECKPOINT_VERSION) return null
+    return {
+      configHash: data.configHash ?? null,
+      after: data.after ?? null,
+      searchDone: Boolean(data.searchDone),
+      processedContactIds: new Set((data.processedContactIds || []).map(String)),
+      failedContactIds: (data.failedContactIds || []).map(String),
+      totalProcessed: data.totalProcessed ?? 0,
+      startedAt: data.startedAt ?? null,
+      updatedAt: data.updatedAt ?? 0,
+    }
+  } catch (err) {
+    if (err.code === 'ENOENT') return null
+    throw err
+  }
+}
+
+/**
+ * Save checkpoint to file (write to a temp file, then rename, so a crash never leaves it half-written).
+ */
+export async function saveCheckpoint(
+  checkpointPath,
+  { configHash, after, searchDone = false, processedContactIds, failedContactIds = [], totalProcessed, startedAt = null }
+) {
+  await fs.mkdir(path.dirname(checkpointPath), { recursive: true })
+  const data = {
+    version: CHECKPOINT_VERSION,
+    configHash,
+    after: after ?? null,
+    searchDone,
+    processedContactIds: [...processedContactIds],
+    failedContactIds: [...new Set(failedContactIds)],
+    totalProcessed,
+    startedAt,
+    updatedAt: Date.now(),
+  }
+  const tmpPath = `${checkpointPath}.tmp`
+  await fs.writeFile(tmpPath, JSON.stringify(data), 'utf-8')
+  await fs.rename(tmpPath, checkpointPath)
+}
+
+/**
+ * Remove the checkpoint file after a run completes.
+ */
+export async function clearCheckpoint(checkpointPath) {
+  await fs.rm(checkpointPath, { force: true })
+}
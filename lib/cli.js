@@ -0,0 +1,179 @@
+/**
+ * Command-line parsing and config overrides.
+ *
+ * Usage: node index.js [command] [options]. Commands are listed in USAGE; `analyze` is the default.
+ */
+
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { parseArgs } from 'util'
+
+export const COMMANDS = ['analyze', 'validate', 'setup', 'forms sync', 'stages', 'event-types']
+
+export const USAGE = `Usage: node index.js [command] [options]
+
+Commands:
+  analyze              Search contacts, count associations, write counters (default)
+  validate             Check config against the portal's contact property schema
+  setup                Create missing custom contact properties (with --dry-run: show the plan)
+  forms sync           Refresh the form-submission cache only
+  stages               Print the deal stage ID → label map
+  event-types          Print Events API event types and the resolved email open/click types
+
+Options:
+  --config <file>      Config module to use instead of config.js (its top-level keys replace the defaults)
+  --object-type <type> Analyze contacts, companies or deals (default: primaryObjectType)
+  --max-contacts <n>   Max contacts to process (0 = no limit)
+  --since <date>       Program start date on or after <date> (YYYY-MM-DD, UTC)
+  --until <date>       Program start date on or before <date> (YYYY-MM-DD, UTC)
+  --contact-id <id>    Analyze only this contact (repeatable)
+  --dry-run            Report property changes instead of writing them
+  --resume             Continue from the last checkpoint
+  --force              Resume even if the search config changed since the checkpoint
+  --skip-validation    Don't run the config validation before analyze
+  --output-dir <dir>   Export results to <dir>
+  --format <list>      Export formats, comma-separated: jsonl,csv
+  --report <list>      Cohort report formats, comma-separated: table,json,markdown ("none" to skip)
+  --group-by <prop>    Group the cohort report by this contact property (e.g. lifecyclestage)
+  --api-base-url <url> HubSpot API base URL (e.g. a local fake HubSpot; default: apiBaseUrl)
+  -h, --help           Show this help
+`
+
+const OPTIONS = {
+  config: { type: 'string' },
+  'object-type': { type: 'string' },
+  'max-contacts': { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  'contact-id': { type: 'string', multiple: true },
+  'dry-run': { type: 'boolean' },
+  resume: { type: 'boolean' },
+  force: { type: 'boolean' },
+  'skip-validation': { type: 'boolean' },
+  'output-dir': { type: 'string' },
+  format: { type: 'string' },
+  report: { type: 'string' },
+  'group-by': { type: 'string' },
+  'api-base-url': { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+}
+
+/**
+ * Parse argv (without node and script path). Returns { command, options }.
+ * Throws on unknown commands or options.
+ */
+export function parseCli(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+  const command = positionals.length > 0 ? positionals.join(' ') : 'analyze'
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command "${command}". Commands: ${COMMANDS.join(', ')}`)
+  }
+  return { command, options: values }
+}
+
+/**
+ * Import a config module from a path relative to the working directory.
+ * The module should export `config` (or a default export) like config.js.
+ */
+export async function loadConfigFile(file) {
+  const mod = await import(pathToFileURL(path.resolve(file)).href)
+  const loaded = mod.config ?? mod.default
+  if (!loaded || typeof loaded !== 'object') {
+    throw new Error(`Config file ${file} must export "config" or a default object.`)
+  }
+  return loaded
+}
+
+/**
+ * Parse YYYY-MM-DD (or any Date-parsable string) to ms. endOfDay: last ms of that UTC day.
+ */
+function parseDateArg(name, value, endOfDay = false) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value)
+  const ms = new Date(dateOnly ? `${value}T00:00:00Z` : value).getTime()
+  if (Number.isNaN(ms)) throw new Error(`--${name}: invalid date "${value}" (use YYYY-MM-DD).`)
+  return dateOnly && endOfDay ? ms + 24 * 60 * 60 * 1000 - 1 : ms
+}
+
+/**
+ * Program start date filter for --since/--until. Returns a search filter or null when neither is set.
+ */
+function buildDateRangeFilter(propertyName, since, until) {
+  const sinceMs = since ? parseDateArg('since', since) : null
+  const untilMs = until ? parseDateArg('until', until, true) : null
+  if (sinceMs != null && untilMs != null) {
+    return { propertyName, operator: 'BETWEEN', value: String(sinceMs), highValue: String(untilMs) }
+  }
+  if (sinceMs != null) return { propertyName, operator: 'GTE', value: String(sinceMs) }
+  if (untilMs != null) return { propertyName, operator: 'LTE', value: String(untilMs) }
+  return null
+}
+
+/**
+ * Apply command-line overrides to a config. Returns a new config; the input is not modified.
+ * - --object-type sets primaryObjectType.
+ * - --max-contacts sets contactSearch.maxContacts.
+ * - --since/--until replace the filter on config.programStartDateProperty in every filter group
+ *   (or add one where missing).
+ * - --contact-id replaces the filter groups with an hs_object_id match (and turns off staleness).
+ * - --output-dir/--format override config.output.
+ * - --report/--group-by override config.report (--report none disables it).
+ * - --api-base-url sets apiBaseUrl.
+ */
+export function applyCliOverrides(baseConfig, options) {
+  const contactSearch = { ...baseConfig.contactSearch }
+  const next = { ...baseConfig, contactSearch }
+
+  if (options['object-type'] != null) next.primaryObjectType = options['object-type']
+  if (options['api-base-url'] != null) next.apiBaseUrl = options['api-base-url']
+
+  if (options['max-contacts'] != null) {
+    const n = Number(options['max-contacts'])
+    if (!Number.isInteger(n) || n < 0) throw new Error('--max-contacts must be a non-negative integer.')
+    contactSearch.maxContacts = n
+  }
+
+  const propertyName = baseConfig.programStartDateProperty || 'frm_program_start_date'
+  const dateFilter = buildDateRangeFilter(propertyName, options.since, options.until)
+  if (dateFilter) {
+    const groups = contactSearch.filterGroups?.length > 0 ? contactSearch.filterGroups : [{ filters: [] }]
+    contactSearch.filterGroups = groups.map((group) => ({
+      ...group,
+      filters: [...(group.filters || []).filter((f) => f.propertyName !== propertyName), dateFilter],
+    }))
+  }
+
+  const contactIds = options['contact-id'] || []
+  if (contactIds.length > 0) {
+    contactSearch.filterGroups = [
+      {
+        filters: [
+          contactIds.length === 1
+            ? { propertyName: 'hs_object_id', operator: 'EQ', value: String(contactIds[0]) }
+            : { propertyName: 'hs_object_id', operator: 'IN', values: contactIds.map(String) },
+        ],
+      },
+    ]
+    // Named records are analyzed whether or not they are due
+    if (baseConfig.staleness?.enabled) next.staleness = { ...baseConfig.staleness, enabled: false }
+  }
+
+  if (options['output-dir'] != null || options.format != null) {
+    next.output = {
+      ...(baseConfig.output || {}),
+      ...(options['output-dir'] != null && { outputDir: options['output-dir'] }),
+      ...(options.format != null && { formats: options.format }),
+    }
+  }
+
+  if (options.report != null || options['group-by'] != null) {
+    const disabled = options.report === 'none'
+    next.report = {
+      ...(baseConfig.report || {}),
+      enabled: !disabled,
+      ...(options.report != null && !disabled && { formats: options.report }),
+      ...(options['group-by'] != null && { groupBy: options['group-by'] }),
+    }
+  }
+
+  return next
+}
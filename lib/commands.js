@@ -0,0 +1,117 @@
+/**
+ * CLI commands other than `analyze` (see lib/analysis.js): validate, setup, forms sync, stages and
+ * event-types. Each takes the run context (lib/context.js) and prints through ctx.log.
+ */
+
+import { fetchContactPropertyDefinitions, fetchDealStageLabels } from './crm.js'
+import { fetchEventTypes, resolveEmailEngagementEventTypes } from './events-api.js'
+import { buildFormSubmissionIndex } from './forms-api.js'
+import { planPropertySetup, toPropertyCreate } from './setup.js'
+import { printValidationReport, validateConfig } from './validate.js'
+
+/**
+ * Preflight: validate config against the portal's contact properties and print the report.
+ * Returns true when there are no errors.
+ */
+export async function runPreflightValidation(ctx) {
+  const properties = await fetchContactPropertyDefinitions(ctx)
+  return printValidationReport(validateConfig(ctx.config, properties), ctx.log)
+}
+
+/**
+ * `validate` command: check config against the portal's property schema. Returns true when there
+ * are no errors (the CLI exits non-zero otherwise).
+ */
+export async function runValidate(ctx) {
+  return runPreflightValidation(ctx)
+}
+
+/**
+ * `setup` command: create the property group and any missing counter/date properties.
+ * Existing properties are left alone; type conflicts are only reported. --dry-run prints the plan.
+ * Returns { created, existing, conflicts } counts (the CLI exits non-zero on conflicts).
+ */
+export async function runSetup(ctx, options) {
+  const dryRun = Boolean(options['dry-run'])
+  const objectType = ctx.config.primaryObjectType || 'contacts'
+  const group = ctx.config.propertyGroup || { name: 'contact_analysis', label: 'Contact analysis' }
+  const properties = await fetchContactPropertyDefinitions(ctx)
+  const plan = planPropertySetup(ctx.config, properties)
+
+  for (const { propertyName, source } of plan.existing) {
+    ctx.log(`  exists    ${propertyName}  (${source})`)
+  }
+  for (const { target, actualType } of plan.conflicts) {
+    ctx.log(
+      `  CONFLICT  ${target.propertyName}  (${target.source}) is type ${actualType}, expected ${target.types.join(' or ')}; not modified`
+    )
+  }
+  if (plan.create.length === 0) {
+    ctx.log('No properties to create.')
+  } else if (dryRun) {
+    for (const target of plan.create) {
+      ctx.log(`  would create  ${target.propertyName}  (${target.types[0]}, "${target.label}") in group ${group.name}`)
+    }
+  } else {
+    const groupsRes = await ctx.requests.call(`${objectType} property groups`, () =>
+      ctx.client.crm.properties.groupsApi.getAll(objectType)
+    )
+    if (!(groupsRes.results || []).some((g) => g.name === group.name)) {
+      await ctx.requests.call('Create property group', () =>
+        ctx.client.crm.properties.groupsApi.create(objectType, { name: group.name, label: group.label })
+      )
+      ctx.log(`  created group  ${group.name}  ("${group.label}")`)
+    }
+    for (const target of plan.create) {
+      await ctx.requests.call('Create property', () =>
+        ctx.client.crm.properties.coreApi.create(objectType, toPropertyCreate(target, group.name))
+      )
+      ctx.log(`  created   ${target.propertyName}  (${target.types[0]}, "${target.label}")`)
+    }
+  }
+  ctx.log(
+    `Setup: ${plan.create.length} ${dryRun ? 'to create' : 'created'}, ${plan.existing.length} already existed, ${plan.conflicts.length} conflict(s).`
+  )
+  return { created: dryRun ? 0 : plan.create.length, existing: plan.existing.length, conflicts: plan.conflicts.length }
+}
+
+/**
+ * `forms sync` command: refresh the form-submission cache without analyzing contacts.
+ */
+export async function runFormsSync(ctx) {
+  if (!ctx.config.formSubmissionsCachePath) {
+    throw new Error('forms sync needs formSubmissionsCachePath set in config.')
+  }
+  ctx.log('Syncing form submissions (Forms API)...')
+  const index = await buildFormSubmissionIndex(ctx)
+  ctx.log(
+    `Form submissions cache: ${index.total} submission(s) for ${index.byEmail.size} email(s) in ${ctx.config.formSubmissionsCachePath}; ` +
+      `${index.unidentified.length} without an email or contact ID.`
+  )
+}
+
+/**
+ * `stages` command: print the deal stage ID → label map.
+ */
+export async function runStages(ctx) {
+  const dealStages = await fetchDealStageLabels(ctx)
+  for (const [stageId, stage] of dealStages) {
+    const outcome = stage.isClosed == null ? '' : stage.isClosed ? `closed (probability ${stage.probability ?? '—'})` : 'open'
+    ctx.log(`${stageId}\t${stage.label}\t${stage.pipelineLabel}\t${outcome}`)
+  }
+  ctx.log(`${dealStages.size} deal stage(s).`)
+}
+
+/**
+ * `event-types` command: print event types from the Events API and the resolved email open/click types.
+ */
+export async function runEventTypes(ctx) {
+  const types = await fetchEventTypes(ctx)
+  if (types.length === 0) {
+    ctx.log('No event types returned (Events API requires an Enterprise tier).')
+  }
+  for (const type of types) ctx.log(type)
+  const { eventTypeOpen, eventTypeClick } = await resolveEmailEngagementEventTypes(ctx)
+  ctx.log('Email open event type:', eventTypeOpen ?? '—')
+  ctx.log('Email click event type:', eventTypeClick ?? '—')
+}
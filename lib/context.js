@@ -0,0 +1,59 @@
+/**
+ * Run context shared by the HubSpot API helpers (lib/crm.js, lib/forms-api.js, lib/events-api.js,
+ * lib/writeback.js) and runAnalysis(): { config, accessToken, client, requests, log, error }.
+ *
+ * Every helper takes the context as its first argument instead of reading module state, so several
+ * runs with different configs or portals can share one process.
+ */
+
+import { Client } from '@hubspot/api-client'
+import { createRequestLayer } from './request.js'
+
+export const DEFAULT_API_BASE_URL = 'https://api.hubapi.com'
+
+/**
+ * Create a run context.
+ * Options:
+ * - config (required): a config object like config.js exports.
+ * - accessToken: private app token (default: HUBSPOT_ACCESS_TOKEN).
+ * - client: an @hubspot/api-client Client; else createClient({ accessToken, basePath }) builds one.
+ * - fetchImpl: fetch for raw API calls (forms, events, dispositions); see lib/request.js.
+ * - log / error: output functions (default console.log / console.error); pass () => {} to silence.
+ *   Retry messages from the request layer go to error.
+ */
+export function createContext({
+  config,
+  accessToken = process.env.HUBSPOT_ACCESS_TOKEN,
+  client = null,
+  createClient = (options) => new Client(options),
+  fetchImpl,
+  log = console.log,
+  error = console.error,
+} = {}) {
+  if (!config || typeof config !== 'object') throw new Error('createContext: config is required.')
+  if (!accessToken && !client) throw new Error('Missing HubSpot access token (HUBSPOT_ACCESS_TOKEN or accessToken).')
+  const ctx = {
+    config,
+    accessToken,
+    client: null,
+    requests: createRequestLayer({ ...config.rateLimit, warn: error, ...(fetchImpl && { fetchImpl }) }),
+    log,
+    error,
+  }
+  ctx.client = client ?? createClient({ accessToken, ...(config.apiBaseUrl && { basePath: apiBaseUrl(ctx) }) })
+  return ctx
+}
+
+/** Base URL for raw API calls and the SDK client (config.apiBaseUrl, e.g. a local fake HubSpot). */
+export function apiBaseUrl(ctx) {
+  return (ctx.config.apiBaseUrl || DEFAULT_API_BASE_URL).replace(/\/$/, '')
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/** Wait config.delayBetweenBatchesMs between batch calls. */
+export function pause(ctx) {
+  return sleep(ctx.config.delayBetweenBatchesMs || 0)
+}
@@ -0,0 +1,494 @@
+/**
+ * CRM API calls: search of the primary object type, v4 associations, batch reads of deals, emails
+ * and other objects, deal pipelines, property definitions and call dispositions.
+ *
+ * Each function takes the run context (lib/context.js) as its first argument.
+ */
+
+import { getActivityObjectType, matchesAssociationType, matchesPropertyFilters, parseActivityTypes } from './associations.js'
+import { apiBaseUrl, pause } from './context.js'
+import { getPrimaryObject } from './objects.js'
+import { HubSpotRequestError } from './request.js'
+import { applyStalenessPolicy, buildStalenessFilters, isDueAfterLastWrite, isStalenessEnabled } from './staleness.js'
+
+const SEARCH_RESULT_LIMIT = 10000 // CRM Search API pages no further than this per query
+const ASSOCIATIONS_BATCH_SIZE = 1000 // v4 batch read limit
+const ASSOCIATION_READ_RETRIES = 2 // extra attempts for IDs a batch read reports as failed
+// Partial error for an object with no associations of the requested type (not a failure)
+const NO_ASSOCIATIONS_SUBCATEGORY = 'crm.associations.NO_ASSOCIATIONS_FOUND'
+const DEALS_BATCH_SIZE = 100 // HubSpot batch read limit
+const EMAILS_BATCH_SIZE = 100 // HubSpot batch read limit
+const OBJECTS_BATCH_READ_SIZE = 100 // HubSpot batch read limit
+
+/**
+ * Filter groups with an extra filter ANDed into each one (or a single group when there are none).
+ */
+function withFilter(filterGroups, filter) {
+  if (!filterGroups || filterGroups.length === 0) return [{ filters: [filter] }]
+  return filterGroups.map((group) => ({ ...group, filters: [...(group.filters || []), filter] }))
+}
+
+/** Properties a search of the primary object type returns: display, contactSearch and extra ones. */
+function getSearchProperties(ctx, extraProperties) {
+  const primary = getPrimaryObject(ctx.config.primaryObjectType)
+  return [...new Set([...primary.displayProperties, ...ctx.config.contactSearch.properties, ...extraProperties])]
+}
+
+/**
+ * Search the primary object type (contacts by default) with pagination; yields { contacts, nextAfter } per page.
+ * nextAfter is the cursor for the following page (null on the last page), so a run can resume there.
+ * The Search API stops paging at SEARCH_RESULT_LIMIT results. When the first page reports more
+ * matches than that, the search is sliced instead: results are read in hs_object_id order, and each
+ * request adds `hs_object_id > <last ID read>` to every filter group, so no single query pages past
+ * the limit. The cursor is then { afterObjectId }, and IDs seen in an earlier slice are skipped.
+ * With config.staleness enabled, the filter groups are combined with the staleness policy (see
+ * lib/staleness.js) and the search is sliced from the start: analyzed records drop out of the
+ * result set as the run writes them back, which would shift offset-based pages. Records the last
+ * run wrote are skipped when nothing changed since that write.
+ * Options:
+ * - extraProperties: requested in addition to contactSearch.properties (e.g. current values
+ *   of the properties we write, for dry-run diffs).
+ * - after: cursor to start from (resume); alreadyFetched: contacts counted toward maxContacts before it.
+ * - lastRun: the last completed run ({ startedAt, writtenAt }, see loadLastRun()), for the
+ *   staleness policy's changedProperties.
+ */
+export async function* searchContacts(
+  ctx,
+  { extraProperties = [], after: startAfter = null, alreadyFetched = 0, lastRun = null } = {}
+) {
+  const { contactSearch } = ctx.config
+  const primary = getPrimaryObject(ctx.config.primaryObjectType)
+  const staleness = isStalenessEnabled(ctx.config) ? ctx.config.staleness : null
+  const dateProperty = ctx.config.analysisCompletedDateProperty
+  const properties = getSearchProperties(ctx, [
+    ...extraProperties,
+    ...(staleness ? [dateProperty, ...(staleness.changedProperties || [])] : []),
+  ])
+  const limit = Math.min(contactSearch.limit, 200)
+  let filterGroups = contactSearch.filterGroups
+  // Resuming a sliced run continues slicing
+  let afterObjectId = typeof startAfter === 'object' ? (startAfter?.afterObjectId ?? null) : null
+  let sliced = afterObjectId != null
+  if (staleness) {
+    const stalenessFilters = buildStalenessFilters(staleness, dateProperty, { lastRunAt: lastRun?.startedAt ?? null })
+    filterGroups = applyStalenessPolicy(filterGroups, stalenessFilters, dateProperty)
+    sliced = true
+  }
+  let after = sliced ? null : startAfter
+  let totalFetched = alreadyFetched
+  const seenIds = new Set()
+
+  while (true) {
+    if (contactSearch.maxContacts > 0 && totalFetched >= contactSearch.maxContacts) break
+    const body = sliced
+      ? {
+          filterGroups: afterObjectId
+            ? withFilter(filterGroups, { propertyName: 'hs_object_id', operator: 'GT', value: afterObjectId })
+            : filterGroups,
+          sorts: [{ propertyName: 'hs_object_id', direction: 'ASCENDING' }],
+          properties,
+          limit,
+          after: 0,
+        }
+      : {
+          filterGroups,
+          sorts: contactSearch.sorts,
+          properties,
+          limit,
+          after: after ?? 0,
+        }
+
+    const response = await ctx.requests.call(`${primary.label} search`, () => ctx.client.crm.objects.searchApi.doSearch(primary.type, body))
+    if (!sliced && after == null && response.total > SEARCH_RESULT_LIMIT) {
+      ctx.log(
+        `${primary.label[0].toUpperCase()}${primary.label.slice(1)} search matches ${response.total} ${primary.type}, over the ` +
+          `Search API's ${SEARCH_RESULT_LIMIT}-result limit. Slicing by hs_object_id: each request asks for ` +
+          `hs_object_id > the last ID read, in ID order (about ${Math.ceil(response.total / limit)} request(s) of ${limit}); ` +
+          'contactSearch.sorts are ignored.'
+      )
+      sliced = true
+      continue
+    }
+    const page = response.results || []
+    if (page.length === 0) break
+    const unseen = page.filter((obj) => !seenIds.has(String(obj.id)))
+    for (const obj of unseen) seenIds.add(String(obj.id))
+    const writtenAt = staleness ? lastRun?.writtenAt : null
+    const results = writtenAt?.size
+      ? unseen.filter((obj) => {
+          const written = writtenAt.get(String(obj.id))
+          return written == null || isDueAfterLastWrite(obj.properties, staleness, dateProperty, written)
+        })
+      : unseen
+
+    let next
+    if (sliced) {
+      afterObjectId = String(page[page.length - 1].id)
+      next = response.paging?.next ? { afterObjectId } : null
+    } else {
+      next = response.paging?.next?.after ?? null
+    }
+    totalFetched += results.length
+    if (contactSearch.maxContacts > 0 && totalFetched > contactSearch.maxContacts) {
+      const trim = totalFetched - contactSearch.maxContacts
+      yield { contacts: results.slice(0, results.length - trim), nextAfter: null }
+      break
+    }
+
+    if (results.length > 0) yield { contacts: results, nextAfter: next }
+    if (!next) break
+    if (!sliced) after = next
+    await pause(ctx)
+  }
+}
+
+/**
+ * Read records of the primary object type by ID, with the same properties searchContacts() returns
+ * (e.g. to retry the records a checkpointed run could not finish). IDs that no longer exist are
+ * left out.
+ * Returns [{ id, properties }] in input order.
+ */
+export async function fetchContactsById(ctx, ids, { extraProperties = [] } = {}) {
+  const primary = getPrimaryObject(ctx.config.primaryObjectType)
+  const details = await fetchObjectDetails(ctx, primary.type, ids.map(String), getSearchProperties(ctx, extraProperties))
+  return ids.map(String).filter((id) => details.has(id)).map((id) => ({ id, properties: details.get(id) }))
+}
+
+/**
+ * IDs named by a v4 batch read's partial errors, with the error message. "No associations found"
+ * errors are not failures (the object just has none). An error that names no input ID applies to
+ * every input without a result row.
+ * Returns Map<id, message>.
+ */
+function getFailedAssociationReads(errors, inputs, returnedIds) {
+  const failed = new Map()
+  const inputIds = new Set(inputs.map((input) => input.id))
+  for (const error of errors || []) {
+    if (error.subCategory === NO_ASSOCIATIONS_SUBCATEGORY) continue
+    const message = error.message || error.category || 'unknown error'
+    const named = Object.values(error.context || {})
+      .flat()
+      .map(String)
+      .filter((id) => inputIds.has(id))
+    const ids = named.length > 0 ? named : [...inputIds].filter((id) => !returnedIds.has(id))
+    for (const id of ids) failed.set(id, message)
+  }
+  return failed
+}
+
+/**
+ * Call v4 associations batch/read for one object type, from the primary object type by default.
+ * target: object type, or a parsed activityTypesToCount entry (its associationTypeIds /
+ * associationLabels then limit which associations are kept).
+ * Each object's `to` list is read to the end by following its paging cursor. IDs the batch reports
+ * as errors are retried up to ASSOCIATION_READ_RETRIES times, then reported as incomplete.
+ * Returns { idsByContact: Map<contactId, string[]>, incomplete: Map<contactId, message> } –
+ * associated object IDs per contact, and the contacts whose list could not be read in full.
+ */
+export async function getAssociationIds(ctx, contactIds, target, fromObjectType = ctx.config.primaryObjectType || 'contacts') {
+  const spec = typeof target === 'string' ? { objectType: target } : target
+  const toObjectType = spec.objectType
+  const label = `Associations ${toObjectType}`
+  const path = `/crm/v4/associations/${fromObjectType}/${toObjectType}/batch/read`
+  const idsByContact = new Map(contactIds.map((id) => [String(id), []]))
+  const incomplete = new Map()
+  const failures = new Map()
+
+  // Inputs still to read: { id } for a first page, { id, after } for the following ones
+  let pending = contactIds.map((id) => ({ id: String(id) }))
+  while (pending.length > 0) {
+    const next = []
+    for (let i = 0; i < pending.length; i += ASSOCIATIONS_BATCH_SIZE) {
+      const batch = pending.slice(i, i + ASSOCIATIONS_BATCH_SIZE)
+      const res = await ctx.requests.call(label, () =>
+        ctx.client.apiRequest({
+          method: 'POST',
+          path,
+          body: { inputs: batch },
+        })
+      )
+      if (!res.ok) throw new HubSpotRequestError(label, res.status, await res.text())
+      const data = await res.json()
+      const returnedIds = new Set((data.results || []).map((r) => String(r.from?.id)))
+      const failed = getFailedAssociationReads(data.errors, batch, returnedIds)
+      for (const r of data.results || []) {
+        const fromId = String(r.from?.id)
+        // A page can come back both as a result row and as an error; the retry reads it again, so
+        // IDs already collected are skipped
+        const list = idsByContact.get(fromId) || []
+        const known = new Set(list)
+        for (const t of r.to || []) {
+          const toId = String(t.toObjectId)
+          if (!matchesAssociationType(spec, t) || known.has(toId)) continue
+          known.add(toId)
+          list.push(toId)
+        }
+        idsByContact.set(fromId, list)
+        const after = r.paging?.next?.after
+        if (after && !failed.has(fromId)) next.push({ id: fromId, after })
+      }
+      for (const [id, message] of failed) {
+        const count = (failures.get(id) || 0) + 1
+        failures.set(id, count)
+        if (count > ASSOCIATION_READ_RETRIES) {
+          incomplete.set(id, message)
+        } else {
+          ctx.error(`${label}: read failed for ${id} (${message}), retry ${count}/${ASSOCIATION_READ_RETRIES}`)
+          next.push(batch.find((input) => input.id === id))
+        }
+      }
+      await pause(ctx)
+    }
+    pending = next
+  }
+
+  return { idsByContact, incomplete }
+}
+
+/**
+ * For a list of contact IDs, fetch associated IDs for deals and all activity types.
+ * activityTypes: activityTypesToCount entries, string or object form (see lib/associations.js).
+ * With rollUpContactActivities (companies and deals only), the associations of each object's
+ * contacts are added too, so a company counts its contacts' calls, emails, deals, ...
+ * Entries with property filters then keep only the associated objects that match them.
+ * Returns { associationsByContact: Map<contactId, { deals: string[], calls: string[], ... }>,
+ * incomplete: Map<contactId, string[]> } – incomplete lists, per contact, the types whose
+ * associations could not all be read (their counts would be too low).
+ */
+export async function buildAssociations(ctx, contactIds, activityTypes) {
+  const activitySpecs = parseActivityTypes(activityTypes)
+  const keys = Object.keys(activitySpecs)
+  const maps = {}
+  const incomplete = new Map()
+  const markIncomplete = (id, reason) => incomplete.set(id, [...(incomplete.get(id) || []), reason])
+
+  for (const key of keys) {
+    const read = await getAssociationIds(ctx, contactIds, activitySpecs[key])
+    maps[key] = read.idsByContact
+    for (const [id, message] of read.incomplete) markIncomplete(id, `${key}: ${message}`)
+  }
+
+  const primaryType = ctx.config.primaryObjectType || 'contacts'
+  if (ctx.config.rollUpContactActivities && primaryType !== 'contacts') {
+    const contactsKey = keys.find((key) => {
+      const spec = activitySpecs[key]
+      return spec.objectType === 'contacts' && spec.associationTypeIds.length === 0 && spec.associationLabels.length === 0
+    })
+    let contactsByObject = contactsKey ? maps[contactsKey] : null
+    if (!contactsByObject) {
+      const read = await getAssociationIds(ctx, contactIds, 'contacts')
+      contactsByObject = read.idsByContact
+      for (const [id, message] of read.incomplete) markIncomplete(id, `contacts: ${message}`)
+    }
+    const allContactIds = [...new Set([...contactsByObject.values()].flat())]
+    for (const key of keys) {
+      if (activitySpecs[key].objectType === 'contacts' || allContactIds.length === 0) continue
+      const byContact = await getAssociationIds(ctx, allContactIds, activitySpecs[key], 'contacts')
+      for (const id of contactIds) {
+        const objectContacts = contactsByObject.get(String(id)) || []
+        const rolledUp = objectContacts.flatMap((contactId) => byContact.idsByContact.get(contactId) || [])
+        maps[key].set(String(id), [...new Set([...(maps[key].get(String(id)) || []), ...rolledUp])])
+        for (const contactId of objectContacts.filter((c) => byContact.incomplete.has(c))) {
+          markIncomplete(String(id), `${key} of contact ${contactId}: ${byContact.incomplete.get(contactId)}`)
+        }
+      }
+    }
+  }
+
+  for (const key of keys) {
+    const { objectType, filters } = activitySpecs[key]
+    if (filters.length === 0) continue
+    const ids = [...maps[key].values()].flat()
+    const properties = [...new Set(filters.map((f) => f.propertyName))]
+    const details = await fetchObjectDetails(ctx, objectType, ids, properties)
+    for (const [id, list] of maps[key]) {
+      maps[key].set(id, list.filter((objectId) => details.has(objectId) && matchesPropertyFilters(details.get(objectId), filters)))
+    }
+  }
+
+  const associationsByContact = new Map()
+  for (const id of contactIds) {
+    const associations = {}
+    for (const key of keys) {
+      associations[key] = maps[key].get(String(id)) || []
+    }
+    associationsByContact.set(id, associations)
+  }
+  return { associationsByContact, incomplete }
+}
+
+/**
+ * Fetch all deal pipeline stages and build stage ID -> stage info map.
+ * isClosed/probability come from the stage metadata (HubSpot returns them as strings).
+ * Returns Map<stageId, { label, pipelineId, pipelineLabel, isClosed, probability }>.
+ */
+export async function fetchDealStageLabels(ctx) {
+  const dealStages = new Map()
+  const pipelinesRes = await ctx.requests.call('Deal pipelines', () => ctx.client.crm.pipelines.pipelinesApi.getAll('deals'))
+  const pipelines = pipelinesRes.results || []
+  for (const pipeline of pipelines) {
+    const full = await ctx.requests.call('Deal pipeline', () => ctx.client.crm.pipelines.pipelinesApi.getById('deals', pipeline.id))
+    const stages = full.stages || []
+    for (const stage of stages) {
+      if (stage.id == null) continue
+      const metadata = stage.metadata || {}
+      const probability = metadata.probability != null && metadata.probability !== '' ? Number(metadata.probability) : null
+      dealStages.set(String(stage.id), {
+        label: stage.label ?? String(stage.id),
+        pipelineId: String(pipeline.id),
+        pipelineLabel: full.label ?? pipeline.label ?? String(pipeline.id),
+        isClosed: metadata.isClosed != null ? String(metadata.isClosed) === 'true' : null,
+        probability: Number.isNaN(probability) ? null : probability,
+      })
+    }
+    await pause(ctx)
+  }
+  return dealStages
+}
+
+/**
+ * Batch fetch deal name, amount, stage, close date and pipeline for a list of deal IDs.
+ * Returns Map<dealId, { dealname, amount, dealstage, closedate, pipeline }>.
+ */
+export async function fetchDealDetails(ctx, dealIds) {
+  const uniqueIds = [...new Set(dealIds)]
+  if (uniqueIds.length === 0) return new Map()
+
+  const dealProps = ['dealname', 'amount', 'dealstage', 'closedate', 'pipeline']
+  const map = new Map()
+
+  for (let i = 0; i < uniqueIds.length; i += DEALS_BATCH_SIZE) {
+    const batch = uniqueIds.slice(i, i + DEALS_BATCH_SIZE).map((id) => ({ id }))
+    const response = await ctx.requests.call('Deals batch read', () =>
+      ctx.client.crm.deals.batchApi.read({
+        inputs: batch,
+        properties: dealProps,
+      })
+    )
+    const results = response.results || []
+    for (const deal of results) {
+      const id = String(deal.id)
+      const props = deal.properties || {}
+      map.set(id, {
+        dealname: props.dealname ?? '(no name)',
+        amount: props.amount ?? '(no amount)',
+        dealstage: props.dealstage ?? '(no stage)',
+        closedate: props.closedate ?? null,
+        pipeline: props.pipeline ?? null,
+      })
+    }
+    await pause(ctx)
+  }
+  return map
+}
+
+/**
+ * Batch fetch email activity details (subject, status, timestamp, direction) for a list of email IDs.
+ * extraProperties are fetched in addition to config.emailActivityProperties.
+ * Returns Map<emailId, { hs_timestamp, hs_email_subject, hs_email_status, hs_email_direction }>.
+ */
+export async function fetchEmailDetails(ctx, emailIds, extraProperties = []) {
+  const uniqueIds = [...new Set(emailIds)]
+  if (uniqueIds.length === 0) return new Map()
+
+  const configured = ctx.config.emailActivityProperties || [
+    'hs_timestamp',
+    'hs_email_subject',
+    'hs_email_status',
+    'hs_email_direction',
+  ]
+  const props = [...new Set([...configured, ...extraProperties])]
+  const map = new Map()
+
+  for (let i = 0; i < uniqueIds.length; i += EMAILS_BATCH_SIZE) {
+    const batch = uniqueIds.slice(i, i + EMAILS_BATCH_SIZE).map((id) => ({ id }))
+    const response = await ctx.requests.call('Emails batch read', () =>
+      ctx.client.crm.objects.emails.batchApi.read({
+        inputs: batch,
+        properties: props,
+      })
+    )
+    const results = response.results || []
+    for (const email of results) {
+      const id = String(email.id)
+      const p = email.properties || {}
+      map.set(id, {
+        hs_timestamp: p.hs_timestamp ?? null,
+        hs_email_subject: p.hs_email_subject ?? '(no subject)',
+        hs_email_status: p.hs_email_status ?? '(unknown)',
+        hs_email_direction: p.hs_email_direction ?? null,
+        ...p,
+      })
+    }
+    await pause(ctx)
+  }
+  return map
+}
+
+/**
+ * Batch fetch properties for any CRM object type (calls, meetings, notes, tasks, ...).
+ * Returns Map<objectId, { [property]: value }>.
+ */
+export async function fetchObjectDetails(ctx, objectType, objectIds, properties) {
+  const uniqueIds = [...new Set(objectIds)]
+  if (uniqueIds.length === 0) return new Map()
+
+  const map = new Map()
+  for (let i = 0; i < uniqueIds.length; i += OBJECTS_BATCH_READ_SIZE) {
+    const batch = uniqueIds.slice(i, i + OBJECTS_BATCH_READ_SIZE).map((id) => ({ id }))
+    const response = await ctx.requests.call(`${objectType} batch read`, () =>
+      ctx.client.crm.objects.batchApi.read(objectType, {
+        inputs: batch,
+        properties,
+      })
+    )
+    const results = response.results || []
+    for (const obj of results) {
+      map.set(String(obj.id), obj.properties || {})
+    }
+    await pause(ctx)
+  }
+  return map
+}
+
+/**
+ * Batch-read details for non-email activity types. Emails use fetchEmailDetails().
+ * propertiesByType: { [typeKey]: properties[] } (activity details, plus hs_timestamp/direction
+ * for time windows and touch dates).
+ * Returns { [typeKey]: Map<activityId, properties> }.
+ */
+export async function fetchActivityDetails(ctx, associationsByContact, propertiesByType) {
+  const detailsByType = {}
+  for (const [type, properties] of Object.entries(propertiesByType)) {
+    const objectType = getActivityObjectType(ctx.config.activityTypesToCount[type])
+    if (!objectType || objectType === 'emails') continue
+    const ids = []
+    for (const assoc of associationsByContact.values()) ids.push(...(assoc[type] || []))
+    detailsByType[type] = await fetchObjectDetails(ctx, objectType, ids, [...new Set(properties)])
+  }
+  return detailsByType
+}
+
+/**
+ * Fetch all property definitions of the primary object type (CRM Properties API).
+ * Returns array of { name, label, type, fieldType, groupName, modificationMetadata, ... }.
+ */
+export async function fetchContactPropertyDefinitions(ctx) {
+  const objectType = ctx.config.primaryObjectType || 'contacts'
+  const response = await ctx.requests.call(`${objectType} properties`, () => ctx.client.crm.properties.coreApi.getAll(objectType))
+  return response.results || []
+}
+
+/**
+ * Fetch call disposition ID → label map (GET /calling/v1/dispositions).
+ * Returns an empty Map if the endpoint is unavailable; dispositions are then shown as IDs.
+ */
+export async function fetchCallDispositionLabels(ctx) {
+  try {
+    const data = await ctx.requests.fetchJson('Call dispositions', `${apiBaseUrl(ctx)}/calling/v1/dispositions`, ctx.accessToken)
+    return new Map((Array.isArray(data) ? data : []).map((d) => [String(d.id), d.label ?? String(d.id)]))
+  } catch (err) {
+    ctx.error('Call dispositions:', err.message)
+    return new Map()
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Per-contact deal analytics: open / closed-won / closed-lost counts, amounts, last close date.
+ *
+ * Stage outcome comes from pipeline stage metadata (isClosed, probability) as returned by
+ * fetchDealStageLabels(): closed with probability 1 = won, closed with probability 0 = lost.
+ */
+
+/** Default-pipeline stage IDs, used when a stage has no metadata. */
+const DEFAULT_WON_STAGE = 'closedwon'
+const DEFAULT_LOST_STAGE = 'closedlost'
+
+/** Metric keys, in the order they are printed and exported. */
+export const DEAL_METRIC_KEYS = ['openDeals', 'wonDeals', 'lostDeals', 'totalAmount', 'wonAmount', 'lastCloseDate']
+
+/**
+ * Classify a deal stage as 'open', 'won' or 'lost'.
+ * stage: { isClosed, probability } from the stage map, or undefined.
+ */
+export function classifyDealStage(stageId, stage) {
+  if (stage && stage.isClosed != null) {
+    if (!stage.isClosed) return 'open'
+    return stage.probability != null && stage.probability >= 1 ? 'won' : 'lost'
+  }
+  if (stageId === DEFAULT_WON_STAGE) return 'won'
+  if (stageId === DEFAULT_LOST_STAGE) return 'lost'
+  return 'open'
+}
+
+function parseAmount(amount) {
+  const n = Number(amount)
+  return amount == null || amount === '' || Number.isNaN(n) ? 0 : n
+}
+
+/**
+ * Compute deal metrics for one contact.
+ * dealIds: associated deal IDs; dealDetails: Map<dealId, { amount, dealstage, closedate }>;
+ * dealStages: Map<stageId, { label, isClosed, probability }>.
+ * Returns { openDeals, wonDeals, lostDeals, totalAmount, wonAmount, lastCloseDate (ms or null) }.
+ */
+export function computeDealMetrics(dealIds, dealDetails, dealStages) {
+  const metrics = { openDeals: 0, wonDeals: 0, lostDeals: 0, totalAmount: 0, wonAmount: 0, lastCloseDate: null }
+  for (const dealId of dealIds) {
+    const details = dealDetails.get(dealId)
+    if (!details) continue
+    const stageId = details.dealstage != null ? String(details.dealstage) : null
+    const outcome = classifyDealStage(stageId, dealStages.get(stageId))
+    const amount = parseAmount(details.amount)
+    metrics.totalAmount += amount
+    if (outcome === 'open') metrics.openDeals += 1
+    else if (outcome === 'won') {
+      metrics.wonDeals += 1
+      metrics.wonAmount += amount
+    } else metrics.lostDeals += 1
+
+    if (outcome !== 'open' && details.closedate) {
+      const closeMs = new Date(details.closedate).getTime()
+      if (!Number.isNaN(closeMs) && (metrics.lastCloseDate == null || closeMs > metrics.lastCloseDate)) {
+        metrics.lastCloseDate = closeMs
+      }
+    }
+  }
+  return metrics
+}
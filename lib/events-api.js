@@ -0,0 +1,128 @@
+/**
+ * Events API calls (Enterprise): event types, per-contact email open/click events and counts
+ * (the per-contact cache is in lib/events.js).
+ *
+ * Each function takes the run context (lib/context.js) as its first argument.
+ */
+
+import { apiBaseUrl } from './context.js'
+import { addEventsToEntry, engagementCacheKey, newEngagementEntry } from './events.js'
+import { HubSpotRequestError, mapWithConcurrency } from './request.js'
+import { parseTimestamp } from './windows.js'
+
+const EVENTS_PAGE_SIZE = 100
+
+/**
+ * Fetch list of event type names from HubSpot Events API (GET /events/v3/events/event-types).
+ * Requires Enterprise tier. Returns [] on error or if API not available.
+ */
+export async function fetchEventTypes(ctx) {
+  const url = `${apiBaseUrl(ctx)}/events/v3/events/event-types`
+  try {
+    const data = await ctx.requests.fetchJson('Event types', url, ctx.accessToken)
+    return Array.isArray(data.eventTypes) ? data.eventTypes : []
+  } catch (err) {
+    if (err instanceof HubSpotRequestError) return []
+    throw err
+  }
+}
+
+/**
+ * Resolve event type names for email open and click from config or by matching event-types list.
+ * Returns { eventTypeOpen: string|null, eventTypeClick: string|null }.
+ */
+export async function resolveEmailEngagementEventTypes(ctx) {
+  const openOverride = ctx.config.eventTypeEmailOpen
+  const clickOverride = ctx.config.eventTypeEmailClick
+  if (openOverride && clickOverride) return { eventTypeOpen: openOverride, eventTypeClick: clickOverride }
+
+  const types = await fetchEventTypes(ctx)
+  const lower = (s) => String(s).toLowerCase()
+  const openMatch = types.find((t) => lower(t).includes('email') && lower(t).includes('open'))
+  const clickMatch = types.find((t) => lower(t).includes('email') && lower(t).includes('click'))
+  return {
+    eventTypeOpen: openOverride ?? openMatch ?? null,
+    eventTypeClick: clickOverride ?? clickMatch ?? null,
+  }
+}
+
+/**
+ * Fetch one contact's events of one type (all pages), filtered server-side by eventType and
+ * the occurred window (ms; null = open-ended). Returns [{ id, eventType, occurredAt }].
+ */
+export async function fetchContactEvents(ctx, contactId, eventType, occurredAfterMs, occurredBeforeMs) {
+  const events = []
+  let after = null
+  do {
+    // eventsApi.getPage takes positional arguments (objectType, eventType, occurredAfter, occurredBefore,
+    // objectId, indexTableName, indexSpecificMetadata, after, before, limit)
+    const response = await ctx.requests.call('Events API', () =>
+      ctx.client.events.eventsApi.getPage(
+        'contact',
+        eventType,
+        occurredAfterMs != null ? new Date(occurredAfterMs) : undefined,
+        occurredBeforeMs != null ? new Date(occurredBeforeMs) : undefined,
+        Number(contactId),
+        undefined,
+        undefined,
+        after ?? undefined,
+        undefined,
+        EVENTS_PAGE_SIZE
+      )
+    )
+    for (const event of response.results || []) {
+      events.push({ id: event.id ?? null, eventType: event.eventType ?? eventType, occurredAt: event.occurredAt })
+    }
+    after = response.paging?.next?.after || null
+  } while (after)
+  return events
+}
+
+/**
+ * Fetch email open and click counts per contact from the Events API.
+ * Each contact/event type is one filtered query (plus paging) within emailEngagementOccurredAfter /
+ * emailEngagementOccurredBefore, with up to emailEngagementConcurrency contacts in flight under the
+ * shared rate limit. With a cache (see lib/events.js), only events since the contact's last seen
+ * event are fetched and the cache is updated in place.
+ * Returns Map<contactId, { opens: number, clicks: number }>. A contact whose events could not be
+ * fetched (Events API unavailable, or an error with nothing cached) is left out, so its stored
+ * counts are not overwritten with 0.
+ */
+export async function fetchContactEmailEngagementCounts(ctx, contactIds, eventTypeOpen, eventTypeClick, cache = null) {
+  const map = new Map()
+  const eventTypes = [eventTypeOpen, eventTypeClick].filter(Boolean)
+  if (eventTypes.length === 0) return map
+
+  const occurredAfterMs = parseTimestamp(ctx.config.emailEngagementOccurredAfter)
+  const occurredBeforeMs = parseTimestamp(ctx.config.emailEngagementOccurredBefore)
+  const key = engagementCacheKey(eventTypes, occurredAfterMs, occurredBeforeMs)
+  const concurrency = Math.max(1, ctx.config.emailEngagementConcurrency ?? 1)
+  let unavailable = false
+
+  await mapWithConcurrency(contactIds, concurrency, async (contactId) => {
+    if (unavailable) return
+    const cached = cache?.get(String(contactId))
+    let entry = cached?.key === key ? cached : newEngagementEntry(key)
+    const since = entry.lastSeenAt != null ? Math.max(entry.lastSeenAt, occurredAfterMs ?? 0) : occurredAfterMs
+    try {
+      const events = []
+      for (const eventType of eventTypes) {
+        events.push(...(await fetchContactEvents(ctx, contactId, eventType, since, occurredBeforeMs)))
+      }
+      entry = addEventsToEntry(entry, events)
+      if (cache) cache.set(String(contactId), entry)
+    } catch (err) {
+      // Events API may be unavailable (e.g. not Enterprise): stop asking. Otherwise keep cached counts.
+      const status = err.code ?? err.status
+      if (status === 403 || status === 404) {
+        if (!unavailable) ctx.error(`Events API unavailable (${status}); email opens and clicks are not written for this page.`)
+        unavailable = true
+        return
+      }
+      ctx.error(`Events API for contact ${contactId}:`, err.message)
+      if (entry !== cached) return
+    }
+    map.set(contactId, { opens: entry.counts[eventTypeOpen] ?? 0, clicks: entry.counts[eventTypeClick] ?? 0 })
+  })
+  return map
+}
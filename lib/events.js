@@ -0,0 +1,75 @@
+/**
+ * Per-contact cache of email engagement counts from the Events API.
+ *
+ * File contents: { version, entries: { [contactId]: entry } } where entry is
+ * { key, counts: { [eventType]: number }, lastSeenAt, lastSeenIds, fetchedAt }.
+ * `key` identifies the event types and occurredAfter/occurredBefore window the counts were taken
+ * with; an entry with another key is refetched in full. Otherwise only events at or after
+ * lastSeenAt are fetched, and lastSeenIds (event IDs at exactly lastSeenAt) keep those from
+ * being counted twice.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+
+const EVENTS_CACHE_VERSION = 1
+
+/** Cache key for a set of event types and an occurred window (ms or null). */
+export function engagementCacheKey(eventTypes, occurredAfterMs, occurredBeforeMs) {
+  return JSON.stringify([[...eventTypes].sort(), occurredAfterMs ?? null, occurredBeforeMs ?? null])
+}
+
+/**
+ * Load the cache. Returns Map<contactId, entry>; empty when the file is missing or has another version.
+ */
+export async function loadEngagementCache(cachePath) {
+  try {
+    const data = JSON.parse(await fs.readFile(cachePath, 'utf-8'))
+    if (data.version !== EVENTS_CACHE_VERSION) return new Map()
+    return new Map(Object.entries(data.entries || {}))
+  } catch (err) {
+    if (err.code === 'ENOENT') return new Map()
+    throw err
+  }
+}
+
+/**
+ * Save the cache (write to a temp file, then rename).
+ */
+export async function saveEngagementCache(cachePath, entries) {
+  await fs.mkdir(path.dirname(cachePath), { recursive: true })
+  const data = { version: EVENTS_CACHE_VERSION, entries: Object.fromEntries(entries) }
+  const tmpPath = `${cachePath}.tmp`
+  await fs.writeFile(tmpPath, JSON.stringify(data), 'utf-8')
+  await fs.rename(tmpPath, cachePath)
+}
+
+/** Empty entry for a cache key. */
+export function newEngagementEntry(key) {
+  return { key, counts: {}, lastSeenAt: null, lastSeenIds: [], fetchedAt: null }
+}
+
+/**
+ * Add fetched events ({ id, eventType, occurredAt }) to an entry. Events already counted
+ * (same ID at lastSeenAt) are skipped. Returns a new entry.
+ */
+export function addEventsToEntry(entry, events, fetchedAt = Date.now()) {
+  const counts = { ...entry.counts }
+  let lastSeenAt = entry.lastSeenAt
+  let lastSeenIds = new Set(entry.lastSeenIds)
+  const previousIds = new Set(entry.lastSeenIds)
+  for (const event of events) {
+    const ts = new Date(event.occurredAt).getTime()
+    if (Number.isNaN(ts)) continue
+    if (entry.lastSeenAt != null && (ts < entry.lastSeenAt || (ts === entry.lastSeenAt && previousIds.has(event.id)))) {
+      continue
+    }
+    counts[event.eventType] = (counts[event.eventType] ?? 0) + 1
+    if (lastSeenAt == null || ts > lastSeenAt) {
+      lastSeenAt = ts
+      lastSeenIds = new Set()
+    }
+    if (ts === lastSeenAt && event.id != null) lastSeenIds.add(event.id)
+  }
+  return { key: entry.key, counts, lastSeenAt, lastSeenIds: [...lastSeenIds], fetchedAt }
+}
@@ -0,0 +1,193 @@
+/**
+ * Structured export of per-contact analysis results.
+ *
+ * - jsonl: analysis.jsonl, one nested record per contact.
+ * - csv: flat files keyed by the analyzed object's ID (contactId, companyId or dealId): contacts.csv,
+ *   deals.csv, emails.csv, activities.csv, form_submissions.csv; plus unmatched_form_submissions.csv
+ *   (submissions without an email or contact ID).
+ */
+
+import fs from 'fs'
+import fsp from 'fs/promises'
+import path from 'path'
+
+export const EXPORT_FORMATS = ['jsonl', 'csv']
+
+const EMAIL_STATUSES = ['SENT', 'BOUNCED', 'FAILED', 'SCHEDULED', 'SENDING', 'other']
+
+/** Quote a CSV field when needed (RFC 4180). Objects/arrays are written as JSON. */
+function csvField(value) {
+  if (value == null) return ''
+  const s = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+function csvRow(fields) {
+  return fields.map(csvField).join(',') + '\n'
+}
+
+/**
+ * Open a write stream. In append mode an existing non-empty file is continued (resumed runs);
+ * `header` is only written to a new or empty file.
+ */
+async function openStream(filePath, append, header) {
+  let hasContent = false
+  if (append) {
+    try {
+      hasContent = (await fsp.stat(filePath)).size > 0
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+  }
+  const stream = fs.createWriteStream(filePath, { flags: append ? 'a' : 'w', encoding: 'utf-8' })
+  if (header && !hasContent) stream.write(header)
+  return stream
+}
+
+function closeStream(stream) {
+  return new Promise((resolve, reject) => {
+    stream.on('error', reject)
+    stream.end(resolve)
+  })
+}
+
+/**
+ * Parse a comma-separated format list (e.g. "jsonl,csv"). Throws on unknown formats.
+ */
+export function parseExportFormats(value) {
+  const formats = (Array.isArray(value) ? value : String(value).split(','))
+    .map((f) => String(f).trim().toLowerCase())
+    .filter(Boolean)
+  const unknown = formats.filter((f) => !EXPORT_FORMATS.includes(f))
+  if (unknown.length > 0) {
+    throw new Error(`Unknown export format(s): ${unknown.join(', ')}. Use: ${EXPORT_FORMATS.join(', ')}`)
+  }
+  return [...new Set(formats)]
+}
+
+/**
+ * Create an export writer.
+ * Options: outputDir, formats (['jsonl', 'csv']), counterKeys and dealMetricKeys (columns for contacts.csv),
+ * contactProperties (searched properties to include in contacts.csv), extraColumns (more contacts.csv
+ * columns as [{ name, value(record) }]), idColumn (first column of every csv file; the analyzed object's ID),
+ * append (continue existing files).
+ * Returns { writeContact(record), writeUnmatchedFormSubmissions(submissions), close(), files }.
+ */
+export async function createExportWriter({
+  outputDir,
+  formats,
+  counterKeys,
+  dealMetricKeys = [],
+  contactProperties = [],
+  extraColumns = [],
+  idColumn = 'contactId',
+  append = false,
+}) {
+  await fsp.mkdir(outputDir, { recursive: true })
+  const streams = {}
+  const files = []
+
+  const open = async (name, key, header) => {
+    const filePath = path.join(outputDir, name)
+    streams[key] = await openStream(filePath, append, header)
+    files.push(filePath)
+  }
+
+  if (formats.includes('jsonl')) await open('analysis.jsonl', 'jsonl', null)
+  if (formats.includes('csv')) {
+    await open(
+      'contacts.csv',
+      'contacts',
+      csvRow([
+        idColumn,
+        ...contactProperties,
+        ...counterKeys,
+        ...dealMetricKeys,
+        ...EMAIL_STATUSES.map((s) => `emailStatus_${s}`),
+        'emailOpens',
+        'emailClicks',
+        'formSubmissions',
+        ...extraColumns.map((c) => c.name),
+      ])
+    )
+    await open(
+      'deals.csv',
+      'deals',
+      // Deals analyzed as the primary object name their associated deals apart from themselves
+      csvRow([idColumn, idColumn === 'dealId' ? 'associatedDealId' : 'dealId', 'dealname', 'amount', 'dealstage', 'stageLabel', 'closedate', 'pipeline'])
+    )
+    await open('emails.csv', 'emails', csvRow([idColumn, 'emailId', 'subject', 'status', 'direction', 'timestamp']))
+    await open('activities.csv', 'activities', csvRow([idColumn, 'type', 'activityId', 'timestamp', 'properties']))
+    await open(
+      'form_submissions.csv',
+      'forms',
+      csvRow([idColumn, 'email', 'formName', 'formGuid', 'submittedAt', 'pageUrl', 'conversionId', 'matchedBy', 'values'])
+    )
+  }
+
+  /**
+   * Write one contact record (as built in main()) to every enabled output.
+   */
+  function writeContact(record) {
+    if (streams.jsonl) streams.jsonl.write(JSON.stringify(record) + '\n')
+    if (!streams.contacts) return
+
+    const id = record.contactId
+    streams.contacts.write(
+      csvRow([
+        id,
+        ...contactProperties.map((p) => record.properties?.[p]),
+        ...counterKeys.map((k) => record.counts?.[k]),
+        ...dealMetricKeys.map((k) => record.dealMetrics?.[k]),
+        ...EMAIL_STATUSES.map((s) => record.emailStatusSummary?.[s] ?? 0),
+        record.emailEngagement?.opens,
+        record.emailEngagement?.clicks,
+        record.formSubmissions?.length ?? 0,
+        ...extraColumns.map((c) => c.value(record)),
+      ])
+    )
+    for (const deal of record.deals || []) {
+      streams.deals.write(
+        csvRow([id, deal.id, deal.dealname, deal.amount, deal.dealstage, deal.stageLabel, deal.closedate, deal.pipeline])
+      )
+    }
+    for (const email of record.emails || []) {
+      streams.emails.write(csvRow([id, email.id, email.subject, email.status, email.direction, email.timestamp]))
+    }
+    for (const [type, activities] of Object.entries(record.activities || {})) {
+      for (const { id: activityId, hs_timestamp: timestamp, ...props } of activities) {
+        streams.activities.write(
+          csvRow([id, type, activityId, timestamp, Object.keys(props).length > 0 ? props : null])
+        )
+      }
+    }
+    for (const sub of record.formSubmissions || []) {
+      streams.forms.write(
+        csvRow([id, record.email, sub.formName, sub.formGuid, sub.submittedAt, sub.pageUrl, sub.conversionId, sub.matchedBy, sub.values])
+      )
+    }
+  }
+
+  /**
+   * Write the run's unmatchable form submissions (csv only; the file is rewritten each run).
+   */
+  async function writeUnmatchedFormSubmissions(submissions) {
+    if (!formats.includes('csv')) return
+    const filePath = path.join(outputDir, 'unmatched_form_submissions.csv')
+    const rows = submissions.map((sub) =>
+      csvRow([sub.formName, sub.formGuid, sub.submittedAt, sub.pageUrl, sub.conversionId, sub.values])
+    )
+    await fsp.writeFile(
+      filePath,
+      csvRow(['formName', 'formGuid', 'submittedAt', 'pageUrl', 'conversionId', 'values']) + rows.join(''),
+      'utf-8'
+    )
+    files.push(filePath)
+  }
+
+  async function close() {
+    await Promise.all(Object.values(streams).map(closeStream))
+  }
+
+  return { writeContact, writeUnmatchedFormSubmissions, close, files }
+}
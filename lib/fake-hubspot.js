@@ -0,0 +1,423 @@
+/**
+ * Local stand-in for the HubSpot API, driven by fixture files, for running the pipeline offline.
+ *
+ * Fixture directory:
+ * - data.json: { objects, associations, pipelines, properties, propertyGroups, forms,
+ *   formSubmissions, eventTypes, events, dispositions } (see fixtures/sample/data.json). Served by
+ *   the handlers below: CRM search (filters, sorts, paging), v4 associations batch read, objects
+ *   batch read / update, pipelines, properties, forms v2, form-integrations v1 submissions, events
+ *   and call dispositions. Optional: associationsPageSize (per-object page size of association
+ *   reads, default 500), associationErrors ({ "contacts/emails": { "<id>": <times to fail> } }),
+ *   associationErrorsWithResults (same shape; the failing ID's result row is returned as well) and
+ *   eventsStatus (e.g. 403: the Events API answers every event query with that status).
+ * - recorded/*.json: { request: { method, path, query, body }, response: { status, body } }
+ *   exchanges written by record mode. A request matching one exactly (method, path, query without
+ *   tokens, JSON body) gets the recorded response; anything else falls through to data.json.
+ *
+ * Record mode (recordFrom: 'https://api.hubapi.com') forwards reads to the real API, returns the
+ * real response and saves the exchange scrubbed of tokens and PII (lib/scrub.js). Requests that
+ * could change the portal (PATCH, PUT, DELETE, and POST other than search and batch read, e.g.
+ * batch updates and `setup`'s property creation) are never forwarded; they are answered locally,
+ * as in replay. Batch updates of records that exist only upstream or in recordings succeed.
+ *
+ * Writes (objects batch update, property and group creation) apply to the in-memory data and are
+ * listed in `writes`, so a test can assert on what the pipeline would have written.
+ *
+ * Run standalone: node lib/fake-hubspot.js [--fixtures <dir>] [--port <n>] [--record <baseUrl>]
+ * and point the script at it with --api-base-url http://127.0.0.1:<port>.
+ */
+
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import http from 'http'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { parseArgs } from 'util'
+import fetch from 'node-fetch'
+import { matchesPropertyFilters } from './associations.js'
+import { scrubJson, scrubQuery } from './scrub.js'
+
+const SEARCH_RESULT_LIMIT = 10000
+
+const EMPTY_DATA = {
+  objects: {},
+  associations: {},
+  pipelines: {},
+  properties: {},
+  propertyGroups: {},
+  forms: [],
+  formSubmissions: {},
+  eventTypes: [],
+  events: [],
+  dispositions: [],
+}
+
+/** Whether a request only reads: GET, or a POST search / batch read (which take their query as a body). */
+function isReadRequest(method, urlPath) {
+  if (method === 'GET' || method === 'HEAD') return true
+  return method === 'POST' && /\/(search|batch\/read)$/.test(urlPath)
+}
+
+/** Load data.json and recorded exchanges from a fixture directory (both optional). */
+export async function loadFixtures(fixturesDir) {
+  let data = {}
+  try {
+    data = JSON.parse(await fs.readFile(path.join(fixturesDir, 'data.json'), 'utf-8'))
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
+  }
+  const recorded = new Map()
+  let files = []
+  try {
+    files = (await fs.readdir(path.join(fixturesDir, 'recorded'))).filter((f) => f.endsWith('.json')).sort()
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
+  }
+  for (const file of files) {
+    const exchange = JSON.parse(await fs.readFile(path.join(fixturesDir, 'recorded', file), 'utf-8'))
+    recorded.set(exchangeKey(exchange.request), exchange.response)
+  }
+  return { data: { ...EMPTY_DATA, ...data }, recorded }
+}
+
+/** Match key of a (scrubbed) request. */
+function exchangeKey({ method, path: urlPath, query, body }) {
+  return JSON.stringify([method, urlPath, query || [], body ?? null])
+}
+
+/** Scrubbed request description used for recording and replay lookup. */
+function describeRequest(method, url, body) {
+  return { method, path: url.pathname, query: scrubQuery(url.searchParams), body: body == null ? null : scrubJson(body) }
+}
+
+function recordFileName(request) {
+  const slug = `${request.method}${request.path}`.replace(/[^A-Za-z0-9]+/g, '-').replace(/-+$/, '')
+  const hash = crypto.createHash('sha256').update(exchangeKey(request)).digest('hex').slice(0, 10)
+  return `${slug}-${hash}.json`
+}
+
+function pick(properties, names) {
+  if (!names || names.length === 0) return { ...properties }
+  return Object.fromEntries(names.map((name) => [name, properties?.[name] ?? null]))
+}
+
+function toApiObject(obj, propertyNames) {
+  return {
+    id: String(obj.id),
+    properties: { hs_object_id: String(obj.id), ...pick(obj.properties || {}, propertyNames) },
+    createdAt: obj.createdAt ?? '2024-01-01T00:00:00.000Z',
+    updatedAt: obj.updatedAt ?? '2024-01-01T00:00:00.000Z',
+    archived: false,
+  }
+}
+
+function compareValues(a, b) {
+  const na = Number(a)
+  const nb = Number(b)
+  if (a != null && b != null && a !== '' && b !== '' && !Number.isNaN(na) && !Number.isNaN(nb)) return na - nb
+  return String(a ?? '').localeCompare(String(b ?? ''))
+}
+
+/** Associations fixture: list of IDs or { toObjectId, associationTypes } per object ID. */
+function associationsFor(data, fromType, toType, id) {
+  const direct = data.associations[`${fromType}/${toType}`]?.[id]
+  const toEntry = (item) =>
+    typeof item === 'object'
+      ? { toObjectId: Number(item.toObjectId), associationTypes: item.associationTypes || [] }
+      : { toObjectId: Number(item), associationTypes: [{ category: 'HUBSPOT_DEFINED', typeId: 1, label: null }] }
+  if (direct) return direct.map(toEntry)
+  // Fall back to the reverse direction (labels are not mirrored)
+  const reverse = data.associations[`${toType}/${fromType}`] || {}
+  return Object.entries(reverse)
+    .filter(([, list]) => list.some((item) => String(typeof item === 'object' ? item.toObjectId : item) === String(id)))
+    .map(([otherId]) => toEntry(otherId))
+}
+
+/**
+ * Handle one request against the fixture data. Returns { status, body }.
+ */
+export function handleFixtureRequest(state, method, url, body) {
+  const { data } = state
+  const p = url.pathname
+  const q = url.searchParams
+  let m
+
+  if (method === 'POST' && (m = p.match(/^\/crm\/v3\/objects\/([\w-]+)\/search$/))) {
+    const objects = data.objects[m[1]] || []
+    const groups = body?.filterGroups || []
+    let results = objects.filter((obj) => {
+      const props = { hs_object_id: String(obj.id), ...obj.properties }
+      return groups.length === 0 || groups.some((g) => matchesPropertyFilters(props, g.filters || []))
+    })
+    const sort = body?.sorts?.[0]
+    if (sort) {
+      const dir = sort.direction === 'DESCENDING' ? -1 : 1
+      const value = (obj) => (sort.propertyName === 'hs_object_id' ? obj.id : obj.properties?.[sort.propertyName])
+      results = [...results].sort((a, b) => dir * compareValues(value(a), value(b)))
+    }
+    const after = Number(body?.after || 0)
+    const limit = Math.min(Number(body?.limit || 10), 200)
+    // Like HubSpot, a search pages no further than 10,000 results
+    if (after + limit > SEARCH_RESULT_LIMIT) {
+      return {
+        status: 400,
+        body: { status: 'error', category: 'VALIDATION_ERROR', message: `Paging past ${SEARCH_RESULT_LIMIT} results is not supported` },
+      }
+    }
+    const page = results.slice(after, after + limit)
+    return {
+      status: 200,
+      body: {
+        total: results.length,
+        results: page.map((obj) => toApiObject(obj, body?.properties)),
+        ...(after + limit < results.length && { paging: { next: { after: String(after + limit) } } }),
+      },
+    }
+  }
+
+  if (method === 'POST' && (m = p.match(/^\/crm\/v4\/associations\/([\w-]+)\/([\w-]+)\/batch\/read$/))) {
+    // Each `to` list is paged (500 per object in HubSpot); associationErrors fails an ID n times,
+    // associationErrorsWithResults too but still returns its result row
+    const pageSize = data.associationsPageSize || 500
+    const failing = data.associationErrors?.[`${m[1]}/${m[2]}`] || {}
+    const failingWithResults = data.associationErrorsWithResults?.[`${m[1]}/${m[2]}`] || {}
+    const results = []
+    const errors = []
+    for (const { id, after } of body?.inputs || []) {
+      const fromId = String(id)
+      const readError = {
+        status: 'error',
+        category: 'INTERNAL_ERROR',
+        message: `Could not read ${m[2]} associations for ${m[1]} ${fromId}`,
+        context: { fromObjectId: [fromId] },
+      }
+      if (failing[fromId] > 0) {
+        failing[fromId] -= 1
+        errors.push(readError)
+        continue
+      }
+      if (failingWithResults[fromId] > 0) {
+        failingWithResults[fromId] -= 1
+        errors.push(readError)
+      }
+      const to = associationsFor(data, m[1], m[2], fromId)
+      if (to.length === 0) {
+        errors.push({
+          status: 'error',
+          category: 'OBJECT_NOT_FOUND',
+          subCategory: 'crm.associations.NO_ASSOCIATIONS_FOUND',
+          message: `No ${m[2]} is associated with ${m[1]} ${fromId}.`,
+          context: { fromObjectId: [fromId] },
+        })
+        continue
+      }
+      const start = Number(after || 0)
+      results.push({
+        from: { id: fromId },
+        to: to.slice(start, start + pageSize),
+        ...(start + pageSize < to.length && { paging: { next: { after: String(start + pageSize) } } }),
+      })
+    }
+    return {
+      status: errors.length > 0 ? 207 : 200,
+      body: { status: 'COMPLETE', results, ...(errors.length > 0 && { numErrors: errors.length, errors }) },
+    }
+  }
+
+  if (method === 'POST' && (m = p.match(/^\/crm\/v3\/objects\/([\w-]+)\/batch\/read$/))) {
+    const byId = new Map((data.objects[m[1]] || []).map((obj) => [String(obj.id), obj]))
+    const results = (body?.inputs || []).map(({ id }) => byId.get(String(id))).filter(Boolean)
+    return { status: 200, body: { status: 'COMPLETE', results: results.map((obj) => toApiObject(obj, body?.properties)) } }
+  }
+
+  if (method === 'POST' && (m = p.match(/^\/crm\/v3\/objects\/([\w-]+)\/batch\/update$/))) {
+    const objects = data.objects[m[1]] || (data.objects[m[1]] = [])
+    const results = []
+    for (const input of body?.inputs || []) {
+      let obj = objects.find((o) => String(o.id) === String(input.id))
+      // Records read from upstream or from recordings have no local copy; keep one of what was written
+      if (!obj && !state.recording && state.recorded.size === 0) {
+        return { status: 404, body: { status: 'error', message: `${m[1]} ${input.id} not found` } }
+      }
+      if (!obj) objects.push((obj = { id: String(input.id), properties: {} }))
+      // HubSpot bumps lastmodifieddate on every write, including ours
+      obj.properties = { ...obj.properties, ...input.properties, lastmodifieddate: new Date().toISOString() }
+      state.writes.push({ objectType: m[1], id: String(input.id), properties: input.properties })
+      results.push(toApiObject(obj))
+    }
+    return { status: 200, body: { status: 'COMPLETE', results } }
+  }
+
+  if (method === 'GET' && (m = p.match(/^\/crm\/v3\/pipelines\/([\w-]+)(?:\/([\w-]+))?$/))) {
+    const pipelines = data.pipelines[m[1]] || []
+    if (!m[2]) return { status: 200, body: { results: pipelines } }
+    const pipeline = pipelines.find((pl) => String(pl.id) === m[2])
+    return pipeline ? { status: 200, body: pipeline } : { status: 404, body: { status: 'error', message: 'Pipeline not found' } }
+  }
+
+  if ((m = p.match(/^\/crm\/v3\/properties\/([\w-]+)\/groups$/))) {
+    const groups = data.propertyGroups[m[1]] || (data.propertyGroups[m[1]] = [])
+    if (method === 'GET') return { status: 200, body: { results: groups } }
+    groups.push(body)
+    state.writes.push({ objectType: m[1], propertyGroup: body })
+    return { status: 201, body }
+  }
+
+  if ((m = p.match(/^\/crm\/v3\/properties\/([\w-]+)$/))) {
+    const properties = data.properties[m[1]] || (data.properties[m[1]] = [])
+    if (method === 'GET') return { status: 200, body: { results: properties } }
+    properties.push(body)
+    state.writes.push({ objectType: m[1], property: body })
+    return { status: 201, body }
+  }
+
+  if (method === 'GET' && p === '/forms/v2/forms') return { status: 200, body: data.forms }
+
+  if (method === 'GET' && (m = p.match(/^\/form-integrations\/v1\/submissions\/forms\/([\w-]+)$/))) {
+    if (!data.forms.some((f) => f.guid === m[1])) return { status: 404, body: { status: 'error', message: 'Form not found' } }
+    const submissions = [...(data.formSubmissions[m[1]] || [])].sort((a, b) => Number(b.submittedAt) - Number(a.submittedAt))
+    const after = Number(q.get('after') || 0)
+    const limit = Number(q.get('limit') || 50)
+    const page = submissions.slice(after, after + limit)
+    return {
+      status: 200,
+      body: { results: page, ...(after + limit < submissions.length && { paging: { next: { after: String(after + limit) } } }) },
+    }
+  }
+
+  if (method === 'GET' && p === '/events/v3/events/event-types') return { status: 200, body: { eventTypes: data.eventTypes } }
+
+  if (method === 'GET' && (p === '/events/v3/events' || p === '/events/v3/events/')) {
+    if (data.eventsStatus) return { status: data.eventsStatus, body: { status: 'error', message: 'Events API not available' } }
+    const afterMs = q.get('occurredAfter') ? new Date(q.get('occurredAfter')).getTime() : null
+    const beforeMs = q.get('occurredBefore') ? new Date(q.get('occurredBefore')).getTime() : null
+    const events = data.events.filter((e) => {
+      const ts = new Date(e.occurredAt).getTime()
+      return (
+        (!q.get('objectType') || e.objectType === q.get('objectType')) &&
+        (!q.get('objectId') || String(e.objectId) === q.get('objectId')) &&
+        (!q.get('eventType') || e.eventType === q.get('eventType')) &&
+        (afterMs == null || ts >= afterMs) &&
+        (beforeMs == null || ts <= beforeMs)
+      )
+    })
+    const after = Number(q.get('after') || 0)
+    const limit = Number(q.get('limit') || 100)
+    const page = events.slice(after, after + limit)
+    return {
+      status: 200,
+      body: { results: page, ...(after + limit < events.length && { paging: { next: { after: String(after + limit) } } }) },
+    }
+  }
+
+  if (method === 'GET' && p === '/calling/v1/dispositions') return { status: 200, body: data.dispositions }
+
+  return { status: 404, body: { status: 'error', message: `No fixture for ${method} ${p}` } }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf-8')
+      if (!text) return resolve(null)
+      try {
+        resolve(JSON.parse(text))
+      } catch {
+        resolve(text)
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+async function forward(recordFrom, req, url, body) {
+  const res = await fetch(`${recordFrom.replace(/\/$/, '')}${url.pathname}${url.search}`, {
+    method: req.method,
+    headers: {
+      ...(req.headers.authorization && { Authorization: req.headers.authorization }),
+      'Content-Type': 'application/json',
+    },
+    body: body == null ? undefined : JSON.stringify(body),
+  })
+  const text = await res.text()
+  let parsed = text
+  try {
+    parsed = text ? JSON.parse(text) : null
+  } catch {
+    // non-JSON body is recorded as text
+  }
+  return { status: res.status, body: parsed }
+}
+
+/**
+ * Create the fake HubSpot server (not listening yet).
+ * Options: fixturesDir, recordFrom (base URL of the real API; enables record mode), log (function).
+ * Returns { server, writes, listen(port) → Promise<baseUrl>, close() → Promise }.
+ */
+export async function createFakeHubSpot({ fixturesDir, recordFrom = null, log = () => {} } = {}) {
+  const state = { ...(await loadFixtures(fixturesDir)), writes: [], recording: Boolean(recordFrom) }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+    let result
+    try {
+      const body = await readBody(req)
+      const request = describeRequest(req.method, url, body)
+      if (recordFrom && isReadRequest(req.method, url.pathname)) {
+        result = await forward(recordFrom, req, url, body)
+        const exchange = { request, response: { status: result.status, body: scrubJson(result.body) } }
+        const dir = path.join(fixturesDir, 'recorded')
+        await fs.mkdir(dir, { recursive: true })
+        await fs.writeFile(path.join(dir, recordFileName(request)), JSON.stringify(exchange, null, 2) + '\n', 'utf-8')
+        state.recorded.set(exchangeKey(request), exchange.response)
+      } else {
+        result = state.recorded.get(exchangeKey(request)) ?? handleFixtureRequest(state, req.method, url, body)
+      }
+      log(`${req.method} ${url.pathname} → ${result.status}`)
+    } catch (err) {
+      result = { status: 500, body: { status: 'error', message: err.message } }
+      log(`${req.method} ${url.pathname} → 500 ${err.message}`)
+    }
+    const payload = typeof result.body === 'string' ? result.body : JSON.stringify(result.body ?? null)
+    res.writeHead(result.status, { 'Content-Type': 'application/json' })
+    res.end(payload)
+  })
+
+  return {
+    server,
+    writes: state.writes,
+    // The live fixture data; a test can change it between runs
+    data: state.data,
+    listen(port = 0) {
+      return new Promise((resolve) => {
+        server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`))
+      })
+    },
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()))
+    },
+  }
+}
+
+async function runStandalone(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: { fixtures: { type: 'string' }, port: { type: 'string' }, record: { type: 'string' } },
+  })
+  const fake = await createFakeHubSpot({
+    fixturesDir: path.resolve(values.fixtures || 'fixtures/sample'),
+    recordFrom: values.record || null,
+    log: (line) => console.log(line),
+  })
+  const baseUrl = await fake.listen(Number(values.port || 4010))
+  console.log(`Fake HubSpot ${values.record ? `recording ${values.record}` : 'serving fixtures'} at ${baseUrl} (Ctrl+C to stop)`)
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  runStandalone(process.argv.slice(2)).catch((err) => {
+    console.error('Error:', err.message)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,192 @@
+/**
+ * Forms API calls: list forms, page submissions per form, and build the submission index used to
+ * match submissions to contacts (cache and matching rules are in lib/forms.js).
+ *
+ * Each API function takes the run context (lib/context.js) as its first argument.
+ */
+
+import { apiBaseUrl, pause } from './context.js'
+import {
+  advanceHighWaterMark,
+  DEFAULT_EMAIL_FIELDS,
+  getSubmissionContactId,
+  highWaterMarkId,
+  indexFormSubmissions,
+  isBeforeHighWaterMark,
+  isCoveredByHighWaterMark,
+  loadFormSubmissionsCache,
+  mergeFormSubmissions,
+  pruneFormSubmissions,
+  saveFormSubmissionsCache,
+} from './forms.js'
+import { mapWithConcurrency } from './request.js'
+import { parseTimestamp } from './windows.js'
+
+const FORM_SUBMISSIONS_PAGE_SIZE = 50 // Forms v1 max
+
+/**
+ * Fetch all forms (Forms v2 API). Returns array of { guid, name, ... }.
+ */
+export async function fetchAllForms(ctx) {
+  const url = `${apiBaseUrl(ctx)}/forms/v2/forms`
+  return ctx.requests.fetchJson('Forms API', url, ctx.accessToken)
+}
+
+/**
+ * Fetch submissions for one form (Form Integrations v1). Yields submission objects.
+ * Each submission: { conversionId, submittedAt, values: [{ name, value }], pageUrl }.
+ * Stops after maxSubmissions yielded (newest first). maxSubmissions 0 = no limit.
+ * If cutoffMs is set, stops when a submission is older than that (submissions are newest-first).
+ * If mark (a high-water mark from the cache) is set, skips submissions it covers and stops at the
+ * first one older than it.
+ */
+export async function* fetchFormSubmissions(ctx, formGuid, formName, maxSubmissions = 0, cutoffMs = 0, mark = null) {
+  let after = undefined
+  let yielded = 0
+  while (true) {
+    const url = new URL(`${apiBaseUrl(ctx)}/form-integrations/v1/submissions/forms/${formGuid}`)
+    url.searchParams.set('limit', String(FORM_SUBMISSIONS_PAGE_SIZE))
+    if (after != null) url.searchParams.set('after', String(after))
+
+    const data = await ctx.requests.fetchJson('Form submissions API', url, ctx.accessToken)
+    const results = data.results || []
+    if (results.length === 0) break
+
+    for (const sub of results) {
+      const submittedMs = parseTimestamp(sub.submittedAt ?? sub.submitted_at)
+      if (cutoffMs > 0 && submittedMs != null && submittedMs < cutoffMs) return
+      if (isBeforeHighWaterMark(mark, submittedMs)) return
+      const conversionId = sub.conversionId ?? sub.conversion_id ?? null
+      const markId = highWaterMarkId({ formGuid, conversionId, submittedAt: submittedMs, values: sub.values })
+      if (isCoveredByHighWaterMark(mark, submittedMs, markId)) continue
+      yield { ...sub, formGuid, formName }
+      yielded++
+      if (maxSubmissions > 0 && yielded >= maxSubmissions) return
+    }
+    after = data.offset ?? data.paging?.next?.after
+    if (after == null) break
+    await pause(ctx)
+  }
+}
+
+/**
+ * Collect form submissions for one form (all of them, with or without an email).
+ * With a high-water mark only submissions newer than it are fetched, without the maxPerForm limit
+ * (a limit there would drop submissions between runs).
+ * Returns { submissions, highWaterMark } where highWaterMark also covers the new submissions.
+ */
+export async function collectFormSubmissionsForForm(ctx, form, maxPerForm, cutoffMs = 0, mark = null) {
+  const formGuid = form.guid ?? form.formId ?? form.id
+  const formName = form.name ?? formGuid ?? '(unnamed form)'
+  const submissions = []
+  let highWaterMark = mark
+  if (!formGuid) return { submissions, highWaterMark }
+
+  const limit = mark ? 0 : maxPerForm
+  for await (const sub of fetchFormSubmissions(ctx, formGuid, formName, limit, cutoffMs, mark)) {
+    const submittedAt = sub.submittedAt ?? sub.submitted_at ?? null
+    const entry = {
+      formName,
+      formGuid,
+      submittedAt,
+      pageUrl: sub.pageUrl ?? sub.page_url ?? null,
+      conversionId: sub.conversionId ?? sub.conversion_id ?? null,
+      contactId: getSubmissionContactId(sub),
+      values: sub.values ?? [],
+    }
+    highWaterMark = advanceHighWaterMark(highWaterMark, parseTimestamp(submittedAt), highWaterMarkId(entry))
+    submissions.push(entry)
+  }
+  return { submissions, highWaterMark }
+}
+
+/**
+ * Email field names for a form: formSubmissionsEmailFieldsByForm[formGuid], else
+ * formSubmissionsEmailFields (default email, e_mail).
+ */
+export function getFormEmailFields(config, formGuid) {
+  return config.formSubmissionsEmailFieldsByForm?.[formGuid] ?? config.formSubmissionsEmailFields ?? DEFAULT_EMAIL_FIELDS
+}
+
+/**
+ * Fetch form submissions and index them for matching (see indexFormSubmissions in lib/forms.js).
+ * With formSubmissionsCachePath: load the cache, page each form until its high-water mark (forms
+ * new to the cache get a full fetch with the config limits), prune submissions past
+ * formSubmissionsMaxAgeMonths, mark forms that no longer exist as deleted, and save.
+ * Without a cache path: full fetch with the config limits. Forms run formSubmissionsConcurrency at a time.
+ */
+export async function buildFormSubmissionIndex(ctx) {
+  const cachePath = ctx.config.formSubmissionsCachePath || null
+  const maxPerForm = ctx.config.formSubmissionsMaxPerForm ?? 0
+  const maxForms = ctx.config.formSubmissionsMaxForms ?? 0
+  const maxAgeMonths = ctx.config.formSubmissionsMaxAgeMonths ?? 0
+  const concurrency = Math.max(1, ctx.config.formSubmissionsConcurrency ?? 1)
+
+  const cutoffMs =
+    maxAgeMonths > 0
+      ? Date.now() - maxAgeMonths * 30 * 24 * 60 * 60 * 1000
+      : 0
+
+  const allForms = await fetchAllForms(ctx)
+  const forms = maxForms > 0 ? allForms.slice(0, maxForms) : allForms
+  const formGuidOf = (form) => form.guid ?? form.formId ?? form.id
+
+  const cached = cachePath ? await loadFormSubmissionsCache(cachePath) : null
+  if (cached?.migrated) ctx.log('Form submissions: migrating cache to the current format.')
+  const submissions = cached?.submissions ?? new Map()
+  const formStates = cached?.forms ?? {}
+
+  const results = await mapWithConcurrency(forms, concurrency, (form) =>
+    collectFormSubmissionsForForm(ctx, form, maxPerForm, cutoffMs, formStates[formGuidOf(form)]?.highWaterMark ?? null)
+  )
+  let fetched = 0
+  const now = Date.now()
+  for (const [i, { submissions: fresh, highWaterMark }] of results.entries()) {
+    fetched += fresh.length
+    mergeFormSubmissions(submissions, fresh)
+    const guid = formGuidOf(forms[i])
+    if (guid) formStates[guid] = { name: forms[i].name ?? guid, highWaterMark, lastSyncedAt: now, deletedAt: null }
+  }
+
+  // Forms gone from the portal: keep their submissions, remember when they disappeared
+  const existing = new Set(allForms.map(formGuidOf))
+  const deleted = Object.entries(formStates).filter(([guid]) => !existing.has(guid))
+  for (const [, state] of deleted) state.deletedAt = state.deletedAt ?? now
+  const pruned = pruneFormSubmissions(submissions, cutoffMs)
+
+  if (cachePath) {
+    await saveFormSubmissionsCache(cachePath, { submissions, forms: formStates })
+    ctx.log(
+      `Form submissions: ${cached ? 'incremental sync' : 'no cache, full fetch'} of ${forms.length} form(s), ` +
+        `${fetched} new, ${pruned} pruned past the age limit, ${deleted.length} deleted form(s); cache saved.`
+    )
+  }
+  return { total: submissions.size, ...indexFormSubmissions(submissions, (formGuid) => getFormEmailFields(ctx.config, formGuid)) }
+}
+
+/**
+ * Map<emailLowercase, submissionDetails[]> of all form submissions, the shape used before matching
+ * by contact ID. Kept for existing callers; buildFormSubmissionIndex() returns this as byEmail.
+ */
+export async function buildFormSubmissionsByEmail(ctx) {
+  return (await buildFormSubmissionIndex(ctx)).byEmail
+}
+
+/**
+ * Print form submissions no processed contact matched: those without any email (in the form's
+ * email fields) or contact ID, by form, and a count of the rest. Returns the unidentified ones.
+ */
+export function reportUnmatchedFormSubmissions(ctx, index, matchedKeys) {
+  const unmatched = index.total - matchedKeys.size
+  ctx.log(`Form submissions not matched to a processed contact: ${unmatched} of ${index.total}.`)
+  if (index.unidentified.length > 0) {
+    const byForm = new Map()
+    for (const sub of index.unidentified) {
+      const label = `"${sub.formName}" (guid: ${sub.formGuid})`
+      byForm.set(label, (byForm.get(label) ?? 0) + 1)
+    }
+    ctx.log(`  ${index.unidentified.length} have no email or contact ID (check formSubmissionsEmailFieldsByForm):`)
+    for (const [label, n] of [...byForm.entries()].sort((a, b) => b[1] - a[1])) ctx.log(`    - ${label}: ${n}`)
+  }
+  return index.unidentified
+}
@@ -0,0 +1,287 @@
+/**
+ * Form submissions: cache with a sync state per form, and matching submissions to contacts.
+ *
+ * Cache file contents (version 2): { version, fetchedAt, forms, submissions } where
+ * - forms: { [formGuid]: { name, highWaterMark: { submittedAt, conversionIds } | null, lastSyncedAt, deletedAt } }
+ *   highWaterMark is the newest submission already cached (its time and the conversion IDs at
+ *   exactly that time, or the cache key of a submission without one); the next sync pages each
+ *   form until it reaches it. deletedAt is set when
+ *   the form no longer exists (its cached submissions are kept).
+ * - submissions: [{ formName, formGuid, submittedAt, pageUrl, conversionId, contactId, values }], all
+ *   submissions including those without an email, so matching can change without a refetch.
+ * Unversioned caches ({ fetchedAt, byEmail }) are migrated: their submissions are kept, but they
+ * never held submissions without an email, so every form is fetched in full once (with the
+ * configured limits). Caches with any other version are ignored and rebuilt.
+ *
+ * Matching (see matchFormSubmissions), in order: the submission's contact ID when the API returns
+ * one, the contact's email, then its hs_additional_emails. Candidate emails of a submission are the
+ * values of the form's email fields (formSubmissionsEmailFieldsByForm, else formSubmissionsEmailFields).
+ *
+ * Per-contact metrics (computeFormSubmissionMetrics) and field copies (getCopiedFieldValues) are
+ * derived from the matched submissions for write-back.
+ */
+
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+import { parseTimestamp } from './windows.js'
+
+export const FORMS_CACHE_VERSION = 2
+
+export const DEFAULT_EMAIL_FIELDS = ['email', 'e_mail']
+
+/**
+ * Dedupe key of a cached submission: form and conversion ID. Without a conversion ID, the
+ * submission time and a hash of its field values stand in for it, so such submissions of one form
+ * don't collapse into one.
+ */
+export function submissionKey(entry) {
+  if (entry.conversionId != null && entry.conversionId !== '') return `${entry.formGuid ?? ''}:${entry.conversionId}`
+  const values = [...(entry.values || [])]
+    .map(({ name, value }) => [String(name), value ?? null])
+    .sort((a, b) => a[0].localeCompare(b[0]))
+  const hash = crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex').slice(0, 16)
+  return `${entry.formGuid ?? ''}:@${parseTimestamp(entry.submittedAt) ?? ''}:${hash}`
+}
+
+/** What a high-water mark keeps of a submission at its time: the conversion ID, else its cache key. */
+export function highWaterMarkId(entry) {
+  return entry.conversionId != null && entry.conversionId !== '' ? entry.conversionId : submissionKey(entry)
+}
+
+/**
+ * Fold one submission into a high-water mark ({ submittedAt, conversionIds } or null). Returns the new mark.
+ */
+export function advanceHighWaterMark(mark, submittedMs, conversionId) {
+  if (submittedMs == null) return mark
+  if (!mark || submittedMs > mark.submittedAt) {
+    return { submittedAt: submittedMs, conversionIds: conversionId != null ? [conversionId] : [] }
+  }
+  if (submittedMs === mark.submittedAt && conversionId != null && !mark.conversionIds.includes(conversionId)) {
+    return { ...mark, conversionIds: [...mark.conversionIds, conversionId] }
+  }
+  return mark
+}
+
+/**
+ * Whether a submission is at or behind the mark: true means already cached (same time, known
+ * conversion ID) or older, so paging a newest-first form can skip it; see isBeforeHighWaterMark.
+ */
+export function isCoveredByHighWaterMark(mark, submittedMs, conversionId) {
+  if (!mark || submittedMs == null) return false
+  if (submittedMs < mark.submittedAt) return true
+  return submittedMs === mark.submittedAt && mark.conversionIds.includes(conversionId)
+}
+
+/** Whether a submission is strictly older than the mark (paging can stop there). */
+export function isBeforeHighWaterMark(mark, submittedMs) {
+  return Boolean(mark) && submittedMs != null && submittedMs < mark.submittedAt
+}
+
+/**
+ * Load the cache. Returns { submissions: Map<submissionKey, entry>, forms, fetchedAt, migrated } or
+ * null when there is no usable cache (missing file or unknown version).
+ */
+export async function loadFormSubmissionsCache(cachePath) {
+  let data
+  try {
+    data = JSON.parse(await fs.readFile(cachePath, 'utf-8'))
+  } catch (err) {
+    if (err.code === 'ENOENT') return null
+    throw err
+  }
+  const version = data.version ?? 1
+  if (version !== 1 && version !== FORMS_CACHE_VERSION) return null
+  const submissions = new Map()
+  const entries =
+    version === FORMS_CACHE_VERSION
+      ? data.submissions || []
+      : Object.values(data.byEmail || {}).flatMap((list) => (Array.isArray(list) ? list : []))
+  for (const entry of entries) submissions.set(submissionKey(entry), entry)
+  return {
+    submissions,
+    forms: version === FORMS_CACHE_VERSION ? { ...(data.forms || {}) } : {},
+    fetchedAt: data.fetchedAt ?? 0,
+    migrated: version !== FORMS_CACHE_VERSION,
+  }
+}
+
+/**
+ * Save the cache (write to a temp file, then rename).
+ */
+export async function saveFormSubmissionsCache(cachePath, { submissions, forms }) {
+  await fs.mkdir(path.dirname(cachePath), { recursive: true })
+  const data = {
+    version: FORMS_CACHE_VERSION,
+    fetchedAt: Date.now(),
+    forms,
+    submissions: [...submissions.values()],
+  }
+  const tmpPath = `${cachePath}.tmp`
+  await fs.writeFile(tmpPath, JSON.stringify(data), 'utf-8')
+  await fs.rename(tmpPath, cachePath)
+}
+
+/**
+ * Merge fresh submissions (array) into submissions (Map by submissionKey, in place); a fresh copy
+ * replaces a cached one.
+ */
+export function mergeFormSubmissions(submissions, fresh) {
+  for (const entry of fresh) submissions.set(submissionKey(entry), entry)
+}
+
+/**
+ * Drop submissions older than cutoffMs (in place). Returns the number removed.
+ */
+export function pruneFormSubmissions(submissions, cutoffMs) {
+  if (!(cutoffMs > 0)) return 0
+  let removed = 0
+  for (const [key, entry] of submissions) {
+    const ms = parseTimestamp(entry.submittedAt)
+    if (ms != null && ms < cutoffMs) {
+      submissions.delete(key)
+      removed += 1
+    }
+  }
+  return removed
+}
+
+/** Normalize an email for matching (trimmed, lowercase); '' when empty. */
+export function normalizeEmail(value) {
+  return value == null ? '' : String(value).trim().toLowerCase()
+}
+
+/**
+ * Candidate emails of a submission: values of the given field names (case-insensitive), normalized.
+ */
+export function getSubmissionEmails(values, fieldNames = DEFAULT_EMAIL_FIELDS) {
+  if (!Array.isArray(values)) return []
+  const wanted = new Set(fieldNames.map((f) => String(f).toLowerCase()))
+  const emails = values
+    .filter((v) => v && v.name != null && wanted.has(String(v.name).toLowerCase()))
+    .map((v) => normalizeEmail(v.value))
+    .filter((e) => e.includes('@'))
+  return [...new Set(emails)]
+}
+
+/** Contact ID carried by a raw API submission, if any (not all endpoints return one). */
+export function getSubmissionContactId(sub) {
+  const id = sub.contactId ?? sub.contact_id ?? sub.vid ?? sub.canonicalVid ?? null
+  return id == null || id === '' ? null : String(id)
+}
+
+/**
+ * Index submissions for matching.
+ * emailFieldsFor(formGuid) returns the email field names for a form.
+ * Returns { byEmail: Map<email, entry[]>, byContactId: Map<contactId, entry[]>, unidentified: entry[] }
+ * where unidentified submissions have neither a contact ID nor an email in the configured fields.
+ */
+export function indexFormSubmissions(submissions, emailFieldsFor) {
+  const byEmail = new Map()
+  const byContactId = new Map()
+  const unidentified = []
+  const add = (map, key, entry) => {
+    if (!map.has(key)) map.set(key, [])
+    map.get(key).push(entry)
+  }
+  for (const entry of submissions.values()) {
+    const emails = getSubmissionEmails(entry.values, emailFieldsFor(entry.formGuid))
+    for (const email of emails) add(byEmail, email, entry)
+    if (entry.contactId != null) add(byContactId, String(entry.contactId), entry)
+    if (emails.length === 0 && entry.contactId == null) unidentified.push(entry)
+  }
+  return { byEmail, byContactId, unidentified }
+}
+
+/**
+ * Submissions matching one contact, each as { ...entry, matchedBy } with matchedBy 'contactId',
+ * 'email' or 'additionalEmail' (the first method that matched). Newest first.
+ */
+export function matchFormSubmissions(index, contactId, properties = {}) {
+  const matched = new Map()
+  const addAll = (entries, matchedBy) => {
+    for (const entry of entries || []) {
+      const key = submissionKey(entry)
+      if (!matched.has(key)) matched.set(key, { ...entry, matchedBy })
+    }
+  }
+  addAll(index.byContactId.get(String(contactId)), 'contactId')
+  const primary = normalizeEmail(properties.email)
+  if (primary) addAll(index.byEmail.get(primary), 'email')
+  const additional = String(properties.hs_additional_emails || '')
+    .split(';')
+    .map(normalizeEmail)
+    .filter((e) => e && e !== primary)
+  for (const email of additional) addAll(index.byEmail.get(email), 'additionalEmail')
+  return [...matched.values()].sort(
+    (a, b) => (parseTimestamp(b.submittedAt) ?? 0) - (parseTimestamp(a.submittedAt) ?? 0)
+  )
+}
+
+/** Keys of computeFormSubmissionMetrics(), in the order they are exported. */
+export const FORM_METRIC_KEYS = [
+  'total',
+  'distinctForms',
+  'firstSubmissionDate',
+  'lastSubmissionDate',
+  'lastFormName',
+  'lastPageUrl',
+  'inProgramWindow',
+]
+
+/** Keys of FORM_METRIC_KEYS that hold dates (written as midnight UTC). */
+export const FORM_METRIC_DATE_KEYS = ['firstSubmissionDate', 'lastSubmissionDate']
+
+/**
+ * Metrics for one contact's matched submissions. programRange: [startMs, endMs] or null when the
+ * contact has no program window (inProgramWindow is then null). Dates are ms (or null).
+ */
+export function computeFormSubmissionMetrics(submissions, programRange = null) {
+  const metrics = {
+    total: submissions.length,
+    distinctForms: new Set(submissions.map((s) => s.formGuid ?? s.formName)).size,
+    firstSubmissionDate: null,
+    lastSubmissionDate: null,
+    lastFormName: null,
+    lastPageUrl: null,
+    inProgramWindow: programRange ? 0 : null,
+  }
+  for (const sub of submissions) {
+    const ms = parseTimestamp(sub.submittedAt)
+    if (ms == null) continue
+    if (metrics.firstSubmissionDate == null || ms < metrics.firstSubmissionDate) metrics.firstSubmissionDate = ms
+    if (metrics.lastSubmissionDate == null || ms > metrics.lastSubmissionDate) {
+      metrics.lastSubmissionDate = ms
+      metrics.lastFormName = sub.formName ?? null
+      metrics.lastPageUrl = sub.pageUrl ?? null
+    }
+    if (programRange && ms >= programRange[0] && ms <= programRange[1]) metrics.inProgramWindow += 1
+  }
+  return metrics
+}
+
+/**
+ * Submitted field values to copy to contact properties.
+ * copyFields: { [submissionFieldName]: contactPropertyName }. A property is only filled when the
+ * contact's current value is empty, from the most recent submission with a non-empty value.
+ * Returns { [contactPropertyName]: value }.
+ */
+export function getCopiedFieldValues(submissions, copyFields, contactProperties = {}) {
+  const copies = {}
+  const newestFirst = [...submissions].sort(
+    (a, b) => (parseTimestamp(b.submittedAt) ?? 0) - (parseTimestamp(a.submittedAt) ?? 0)
+  )
+  for (const [field, propertyName] of Object.entries(copyFields || {})) {
+    if (!propertyName) continue
+    const current = contactProperties[propertyName]
+    if (current != null && current !== '') continue
+    for (const sub of newestFirst) {
+      const value = (sub.values || []).find((v) => v && String(v.name).toLowerCase() === field.toLowerCase())?.value
+      if (value != null && value !== '') {
+        copies[propertyName] = String(value)
+        break
+      }
+    }
+  }
+  return copies
+}
@@ -0,0 +1,42 @@
+/**
+ * Primary object types the analysis can run on (config.primaryObjectType).
+ *
+ * Contacts are the default. Companies and deals use the same search, associations, counters and
+ * write-back; contact-only features (form submissions, Events API engagement) are skipped for them.
+ */
+
+export const PRIMARY_OBJECT_TYPES = {
+  contacts: {
+    label: 'contact',
+    idColumn: 'contactId',
+    displayProperties: ['email', 'firstname', 'lastname'],
+    name: (p) => [p.firstname, p.lastname].filter(Boolean).join(' ') || '(no name)',
+    describe: (p) => `${p.email ?? '(no email)'}  ${[p.firstname, p.lastname].filter(Boolean).join(' ') || '(no name)'}`,
+  },
+  companies: {
+    label: 'company',
+    idColumn: 'companyId',
+    displayProperties: ['name', 'domain'],
+    name: (p) => p.name || '(no name)',
+    describe: (p) => `${p.name ?? '(no name)'}  ${p.domain ?? '(no domain)'}`,
+  },
+  deals: {
+    label: 'deal',
+    idColumn: 'dealId',
+    displayProperties: ['dealname', 'amount', 'dealstage'],
+    name: (p) => p.dealname || '(no name)',
+    describe: (p) => `${p.dealname ?? '(no name)'}  amount: ${p.amount ?? '—'}`,
+  },
+}
+
+/**
+ * Metadata for a primary object type ({ type, label, idColumn, displayProperties, name, describe }).
+ * Throws on types other than contacts, companies and deals.
+ */
+export function getPrimaryObject(type = 'contacts') {
+  const meta = PRIMARY_OBJECT_TYPES[type]
+  if (!meta) {
+    throw new Error(`primaryObjectType "${type}" is not supported. Use: ${Object.keys(PRIMARY_OBJECT_TYPES).join(', ')}`)
+  }
+  return { type, ...meta }
+}
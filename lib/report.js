@@ -0,0 +1,217 @@
+/**
+ * End-of-run cohort report aggregated over all processed records (contacts, or the primaryObjectType).
+ *
+ * Per group (all records, plus one per value of the groupBy property when set):
+ * - distribution (min / median / p90 / max) of each counter and the share of contacts where it is 0
+ * - share of contacts with no activity at all (every counter 0)
+ * - deals by stage label, email status totals, top forms by submissions
+ * Output as a console table, JSON or Markdown.
+ */
+
+import { getPrimaryObject } from './objects.js'
+
+export const REPORT_FORMATS = ['table', 'json', 'markdown']
+
+const TOP_FORMS = 10
+
+/**
+ * Parse a comma-separated report format list (e.g. "table,markdown"). Throws on unknown formats.
+ */
+export function parseReportFormats(value) {
+  const formats = (Array.isArray(value) ? value : String(value).split(','))
+    .map((f) => String(f).trim().toLowerCase())
+    .filter(Boolean)
+  const unknown = formats.filter((f) => !REPORT_FORMATS.includes(f))
+  if (unknown.length > 0) {
+    throw new Error(`Unknown report format(s): ${unknown.join(', ')}. Use: ${REPORT_FORMATS.join(', ')}`)
+  }
+  return [...new Set(formats)]
+}
+
+/** Nearest-rank percentile (p in 0..1) of an ascending array. */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null
+  const rank = Math.ceil(p * sorted.length)
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))]
+}
+
+function median(sorted) {
+  if (sorted.length === 0) return null
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+function share(n, total) {
+  return total > 0 ? Math.round((n / total) * 1000) / 1000 : null
+}
+
+function increment(obj, key, n = 1) {
+  obj[key] = (obj[key] ?? 0) + n
+}
+
+function newGroup() {
+  return { contacts: 0, noActivity: 0, counters: {}, dealsByStage: {}, emailStatus: {}, forms: {} }
+}
+
+function addToGroup(group, record) {
+  group.contacts += 1
+  let active = false
+  for (const [key, n] of Object.entries(record.counts || {})) {
+    // null: not fetched for this record (e.g. Events API unavailable)
+    if (n == null) continue
+    if (!group.counters[key]) group.counters[key] = []
+    group.counters[key].push(n)
+    if (n > 0) active = true
+  }
+  if (!active) group.noActivity += 1
+  for (const deal of record.deals || []) increment(group.dealsByStage, deal.stageLabel || deal.dealstage || '(no stage)')
+  for (const [status, n] of Object.entries(record.emailStatusSummary || {})) {
+    if (n > 0) increment(group.emailStatus, status, n)
+  }
+  for (const sub of record.formSubmissions || []) increment(group.forms, sub.formName || sub.formGuid || '(unknown form)')
+}
+
+function summarizeGroup(group) {
+  const counters = {}
+  for (const [key, values] of Object.entries(group.counters)) {
+    const sorted = [...values].sort((a, b) => a - b)
+    counters[key] = {
+      min: sorted[0] ?? null,
+      median: median(sorted),
+      p90: percentile(sorted, 0.9),
+      max: sorted[sorted.length - 1] ?? null,
+      zeroShare: share(sorted.filter((n) => n === 0).length, sorted.length),
+    }
+  }
+  const byCountDesc = (obj) => Object.entries(obj).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+  return {
+    contacts: group.contacts,
+    noActivityShare: share(group.noActivity, group.contacts),
+    counters,
+    dealsByStage: Object.fromEntries(byCountDesc(group.dealsByStage)),
+    emailStatus: Object.fromEntries(byCountDesc(group.emailStatus)),
+    topForms: byCountDesc(group.forms)
+      .slice(0, TOP_FORMS)
+      .map(([form, submissions]) => ({ form, submissions })),
+  }
+}
+
+/**
+ * Create a cohort report accumulator.
+ * Counters are the keys of each record's counts; groupBy: property name or null; objectType: the
+ * analyzed object type (names the records in the formatted report).
+ * Returns { add(record), build() }; build() returns { generatedAt, objectType, groupBy, overall, groups }.
+ */
+export function createCohortReport({ groupBy = null, objectType = 'contacts' } = {}) {
+  const overall = newGroup()
+  const groups = new Map()
+  return {
+    add(record) {
+      addToGroup(overall, record)
+      if (groupBy) {
+        const value = record.properties?.[groupBy]
+        const key = value == null || value === '' ? '(none)' : String(value)
+        if (!groups.has(key)) groups.set(key, newGroup())
+        addToGroup(groups.get(key), record)
+      }
+    },
+    build() {
+      return {
+        generatedAt: new Date().toISOString(),
+        objectType,
+        groupBy,
+        overall: summarizeGroup(overall),
+        groups: groupBy
+          ? Object.fromEntries(
+              [...groups.entries()]
+                .sort((a, b) => b[1].contacts - a[1].contacts || a[0].localeCompare(b[0]))
+                .map(([key, group]) => [key, summarizeGroup(group)])
+            )
+          : null,
+      }
+    },
+  }
+}
+
+function formatShare(value) {
+  return value == null ? '—' : `${Math.round(value * 1000) / 10}%`
+}
+
+function formatCounts(obj) {
+  const entries = Object.entries(obj)
+  return entries.length > 0 ? entries.map(([k, n]) => `${k}: ${n}`).join(', ') : '—'
+}
+
+function counterRows(summary) {
+  return Object.entries(summary.counters).map(([key, d]) => [
+    key,
+    d.min ?? '—',
+    d.median ?? '—',
+    d.p90 ?? '—',
+    d.max ?? '—',
+    formatShare(d.zeroShare),
+  ])
+}
+
+const COUNTER_HEADER = ['counter', 'min', 'median', 'p90', 'max', 'zero']
+
+/** Plain-text table with padded columns. */
+function textTable(header, rows) {
+  const widths = header.map((h, i) => Math.max(String(h).length, ...rows.map((r) => String(r[i]).length)))
+  const line = (cells) => cells.map((c, i) => String(c).padEnd(widths[i])).join('  ').trimEnd()
+  return [line(header), line(widths.map((w) => '-'.repeat(w))), ...rows.map(line)]
+}
+
+/** "All contacts" and "contact(s)" (or companies / deals) for the report's object type. */
+function recordNouns(report) {
+  const objectType = report.objectType ?? 'contacts'
+  return { all: `All ${objectType}`, count: `${getPrimaryObject(objectType).label}(s)` }
+}
+
+function reportSections(report) {
+  return [
+    [recordNouns(report).all, report.overall],
+    ...Object.entries(report.groups || {}).map(([key, summary]) => [`${report.groupBy} = ${key}`, summary]),
+  ]
+}
+
+/** Console text for a report built by createCohortReport(). */
+export function formatReportTable(report) {
+  const lines = ['Cohort report']
+  const { count } = recordNouns(report)
+  for (const [title, summary] of reportSections(report)) {
+    lines.push('', `${title} (${summary.contacts} ${count}, no activity: ${formatShare(summary.noActivityShare)})`)
+    lines.push(...textTable(COUNTER_HEADER, counterRows(summary)).map((l) => `  ${l}`))
+    lines.push(`  Deals by stage: ${formatCounts(summary.dealsByStage)}`)
+    lines.push(`  Email status: ${formatCounts(summary.emailStatus)}`)
+    lines.push(`  Top forms: ${summary.topForms.length > 0 ? summary.topForms.map((f) => `${f.form}: ${f.submissions}`).join(', ') : '—'}`)
+  }
+  return lines.join('\n')
+}
+
+function markdownEscape(value) {
+  return String(value).replace(/\|/g, '\\|')
+}
+
+function markdownTable(header, rows) {
+  const line = (cells) => `| ${cells.map(markdownEscape).join(' | ')} |`
+  return [line(header), line(header.map(() => '---')), ...rows.map(line)]
+}
+
+/** Markdown document for a report built by createCohortReport(). */
+export function formatReportMarkdown(report) {
+  const lines = ['# Cohort report', '', `Generated ${report.generatedAt}.`]
+  const { count } = recordNouns(report)
+  for (const [title, summary] of reportSections(report)) {
+    lines.push('', `## ${markdownEscape(title)}`, '')
+    lines.push(`${summary.contacts} ${count}; no activity: ${formatShare(summary.noActivityShare)}.`, '')
+    lines.push(...markdownTable(COUNTER_HEADER, counterRows(summary)), '')
+    lines.push('**Deals by stage**', '')
+    lines.push(...markdownTable(['stage', 'deals'], Object.entries(summary.dealsByStage)), '')
+    lines.push('**Email status**', '')
+    lines.push(...markdownTable(['status', 'emails'], Object.entries(summary.emailStatus)), '')
+    lines.push('**Top forms**', '')
+    lines.push(...markdownTable(['form', 'submissions'], summary.topForms.map((f) => [f.form, f.submissions])))
+  }
+  return lines.join('\n') + '\n'
+}
@@ -0,0 +1,227 @@
+/**
+ * Shared HubSpot request layer.
+ *
+ * Every API call goes through one rate limiter (per-second and per-10-second token buckets)
+ * and is retried on 429, 5xx and network errors with exponential backoff and jitter.
+ * Retry-After and HubSpot's X-HubSpot-RateLimit-* headers are honored when present.
+ */
+
+import fetch from 'node-fetch'
+
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'])
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/**
+ * Token bucket: holds up to `capacity` tokens, refilled evenly over `intervalMs`.
+ */
+class TokenBucket {
+  constructor(capacity, intervalMs) {
+    this.capacity = capacity
+    this.refillPerMs = capacity / intervalMs
+    this.tokens = capacity
+    this.updatedAt = Date.now()
+  }
+
+  refill() {
+    const now = Date.now()
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs)
+    this.updatedAt = now
+  }
+
+  /** Ms until one token is available (0 if available now). */
+  waitTime() {
+    this.refill()
+    if (this.tokens >= 1) return 0
+    return Math.ceil((1 - this.tokens) / this.refillPerMs)
+  }
+
+  take() {
+    this.tokens -= 1
+  }
+}
+
+/**
+ * Rate limiter combining a per-second and a per-10-second bucket.
+ * pauseUntil() blocks all callers, e.g. when HubSpot reports the window is exhausted.
+ */
+export function createRateLimiter({ requestsPerSecond = 10, requestsPerTenSeconds = 100 } = {}) {
+  const buckets = []
+  if (requestsPerSecond > 0) buckets.push(new TokenBucket(requestsPerSecond, 1000))
+  if (requestsPerTenSeconds > 0) buckets.push(new TokenBucket(requestsPerTenSeconds, 10000))
+  let pausedUntil = 0
+  let queue = Promise.resolve()
+
+  // Callers are served one at a time so concurrent requests cannot overdraw a bucket.
+  const acquireNext = async () => {
+    while (true) {
+      const pauseMs = pausedUntil - Date.now()
+      const waitMs = Math.max(pauseMs, ...buckets.map((b) => b.waitTime()), 0)
+      if (waitMs <= 0) break
+      await sleep(waitMs)
+    }
+    for (const b of buckets) b.take()
+  }
+
+  return {
+    acquire() {
+      const next = queue.then(acquireNext)
+      queue = next.catch(() => {})
+      return next
+    },
+    pauseUntil(timeMs) {
+      pausedUntil = Math.max(pausedUntil, timeMs)
+    },
+  }
+}
+
+/**
+ * Error thrown when a HubSpot request fails after retries (or with a non-retryable status).
+ */
+export class HubSpotRequestError extends Error {
+  constructor(label, status, body) {
+    super(`${label} ${status}: ${typeof body === 'string' ? body : JSON.stringify(body)}`)
+    this.name = 'HubSpotRequestError'
+    this.status = status
+    this.body = body
+  }
+}
+
+/** Read a header from a fetch Headers object or a plain object (case-insensitive). */
+function getHeader(headers, name) {
+  if (!headers) return null
+  if (typeof headers.get === 'function') return headers.get(name)
+  const lower = name.toLowerCase()
+  for (const [key, value] of Object.entries(headers)) {
+    if (key.toLowerCase() === lower) return value
+  }
+  return null
+}
+
+/** Retry-After as ms (seconds or HTTP date). Returns null if absent or unparseable. */
+function parseRetryAfterMs(headers) {
+  const value = getHeader(headers, 'retry-after')
+  if (value == null || value === '') return null
+  const seconds = Number(value)
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000)
+  const date = new Date(value).getTime()
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+/**
+ * If HubSpot says the current rate-limit window is used up, ms until it resets; else null.
+ */
+function parseRateLimitResetMs(headers) {
+  const remaining = getHeader(headers, 'x-hubspot-ratelimit-remaining')
+  const intervalMs = getHeader(headers, 'x-hubspot-ratelimit-interval-milliseconds')
+  if (remaining == null || Number(remaining) > 0) return null
+  const interval = Number(intervalMs)
+  return Number.isNaN(interval) ? null : interval
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599)
+}
+
+/** A fetch Response (node-fetch or client.apiRequest) rather than a parsed SDK result. */
+function isResponse(value) {
+  return value != null && typeof value.status === 'number' && typeof value.headers?.get === 'function'
+}
+
+/**
+ * Create the request layer.
+ * Options: requestsPerSecond, requestsPerTenSeconds, maxRetries, baseDelayMs, maxDelayMs, fetchImpl,
+ * warn (where retry messages go; default console.warn).
+ * Returns { call(label, fn), fetchJson(label, url, accessToken, init) }.
+ */
+export function createRequestLayer(options = {}) {
+  const maxRetries = options.maxRetries ?? 5
+  const baseDelayMs = options.baseDelayMs ?? 500
+  const maxDelayMs = options.maxDelayMs ?? 30000
+  const fetchImpl = options.fetchImpl ?? fetch
+  const warn = options.warn ?? console.warn
+  const limiter = createRateLimiter(options)
+
+  // Exponential backoff with jitter, never shorter than what the server asked for.
+  const backoffMs = (attempt, headers) => {
+    const exp = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt)
+    const jittered = exp / 2 + Math.random() * (exp / 2)
+    const serverMs = parseRetryAfterMs(headers) ?? parseRateLimitResetMs(headers) ?? 0
+    return Math.max(jittered, serverMs)
+  }
+
+  /**
+   * Run fn (one HubSpot call) under the rate limiter, retrying retryable failures.
+   * fn may return a fetch Response (retried on 429/5xx, returned as-is otherwise) or
+   * throw an SDK ApiException / network error (retried when retryable, rethrown otherwise).
+   */
+  async function call(label, fn) {
+    for (let attempt = 0; ; attempt++) {
+      await limiter.acquire()
+      let status = null
+      let headers = null
+      let failure = null
+      try {
+        const result = await fn()
+        if (!isResponse(result)) return result
+        const resetMs = parseRateLimitResetMs(result.headers)
+        if (resetMs != null) limiter.pauseUntil(Date.now() + resetMs)
+        if (!isRetryableStatus(result.status) || attempt >= maxRetries) return result
+        status = result.status
+        headers = result.headers
+      } catch (err) {
+        status = err.code ?? err.status ?? err.response?.status ?? null
+        headers = err.headers ?? err.response?.headers ?? null
+        const retryable =
+          typeof status === 'number' ? isRetryableStatus(status) : RETRYABLE_NETWORK_CODES.has(status ?? err.errno)
+        if (!retryable || attempt >= maxRetries) throw err
+        failure = err
+      }
+      const delayMs = backoffMs(attempt, headers)
+      if (status === 429) limiter.pauseUntil(Date.now() + delayMs)
+      warn(
+        `${label}: ${typeof status === 'number' ? `HTTP ${status}` : failure?.message ?? status}, retry ${attempt + 1}/${maxRetries} in ${Math.round(delayMs)}ms`
+      )
+      await sleep(delayMs)
+    }
+  }
+
+  /**
+   * GET/POST a HubSpot URL with a bearer token; returns parsed JSON.
+   * Throws HubSpotRequestError on a non-2xx response after retries.
+   */
+  async function fetchJson(label, url, accessToken, init = {}) {
+    const res = await call(label, () =>
+      fetchImpl(String(url), {
+        ...init,
+        headers: { Authorization: `Bearer ${accessToken}`, ...(init.headers || {}) },
+      })
+    )
+    if (!res.ok) {
+      const text = await res.text()
+      throw new HubSpotRequestError(label, res.status, text)
+    }
+    return res.json()
+  }
+
+  return { call, fetchJson }
+}
+
+/**
+ * Run fn(item, index) over items with at most `concurrency` calls in flight (calls still share the
+ * request layer's rate limit). Resolves to the results in input order; rejects on the first error.
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++
+      results[i] = await fn(items[i], i)
+    }
+  }
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker))
+  return results
+}
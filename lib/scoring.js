@@ -0,0 +1,87 @@
+/**
+ * Engagement scoring from the signals collected per contact.
+ *
+ * Each signal in config.scoring.signals scores `weight` points per occurrence. With halfLifeDays set
+ * and timestamps available, each occurrence is decayed by 0.5^(ageDays / halfLifeDays), so old
+ * activity counts for less. `cap` limits the points one signal can contribute. Penalties subtract
+ * points per bounced / failed email. The total maps to a tier label (first tier whose min it reaches).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function round(n, digits = 2) {
+  const f = 10 ** digits
+  return Math.round(n * f) / f
+}
+
+/**
+ * Signal keys that need activity timestamps for recency decay.
+ */
+export function getDecayedSignals(scoring) {
+  return Object.entries(scoring?.signals || {})
+    .filter(([, s]) => s.halfLifeDays > 0)
+    .map(([key]) => key)
+}
+
+/**
+ * Compute the score for one contact.
+ * signals: { counts: { [signal]: number }, timestamps: { [signal]: ms[] }, emailStatus: { BOUNCED, FAILED } }.
+ * Returns { score, tier, breakdown: [{ signal, count, points, decayed, capped }], penalties: [{ name, count, points }] }.
+ */
+export function computeEngagementScore(signals, scoring, nowMs = Date.now()) {
+  const breakdown = []
+  let total = 0
+  for (const [key, def] of Object.entries(scoring.signals || {})) {
+    const weight = def.weight ?? 0
+    const count = signals.counts?.[key] ?? 0
+    const timestamps = signals.timestamps?.[key]
+    let raw
+    let decayed = false
+    if (def.halfLifeDays > 0 && Array.isArray(timestamps)) {
+      decayed = true
+      raw = 0
+      for (const ts of timestamps) {
+        const ageDays = Math.max(0, (nowMs - ts) / DAY_MS)
+        raw += weight * 0.5 ** (ageDays / def.halfLifeDays)
+      }
+    } else {
+      raw = weight * count
+    }
+    const capped = def.cap != null && raw > def.cap
+    const points = capped ? def.cap : raw
+    if (count > 0 || points !== 0) breakdown.push({ signal: key, count, points: round(points), decayed, capped })
+    total += points
+  }
+
+  const penalties = []
+  const penaltyDefs = scoring.penalties || {}
+  const penaltyCounts = {
+    bouncedEmail: signals.emailStatus?.BOUNCED ?? 0,
+    failedEmail: signals.emailStatus?.FAILED ?? 0,
+  }
+  for (const [name, perOccurrence] of Object.entries(penaltyDefs)) {
+    const count = penaltyCounts[name] ?? 0
+    if (count === 0 || !perOccurrence) continue
+    const points = -perOccurrence * count
+    penalties.push({ name, count, points: round(points) })
+    total += points
+  }
+
+  let score = round(total, 1)
+  if (scoring.minScore != null) score = Math.max(scoring.minScore, score)
+  if (scoring.maxScore != null) score = Math.min(scoring.maxScore, score)
+  const tiers = [...(scoring.tiers || [])].sort((a, b) => b.min - a.min)
+  const tier = tiers.find((t) => score >= t.min)?.label ?? null
+  return { score, tier, breakdown, penalties }
+}
+
+/** "42 (Warm): meetings 16, calls 6.3 (decayed), emailClicks 10 (capped), bouncedEmail -5" */
+export function formatScoreBreakdown({ score, tier, breakdown, penalties }) {
+  const parts = [
+    ...breakdown
+      .filter((b) => b.points !== 0)
+      .map((b) => `${b.signal} ${b.points}${b.decayed ? ' (decayed)' : ''}${b.capped ? ' (capped)' : ''}`),
+    ...penalties.map((p) => `${p.name} ${p.points}`),
+  ]
+  return `${score}${tier ? ` (${tier})` : ''}${parts.length > 0 ? `: ${parts.join(', ')}` : ''}`
+}
@@ -0,0 +1,81 @@
+/**
+ * Scrub recorded HubSpot traffic (see lib/fake-hubspot.js record mode) of tokens and PII.
+ *
+ * Pseudonyms are deterministic (hash of the normalized value), so an email scrubbed in a contact
+ * and in a form submission still matches after scrubbing, and recordings stay stable across runs.
+ * - emails anywhere in a string → user-<hash>@example.com
+ * - person names, phones, street addresses (by property / form field name) → <Field>-<hash>
+ * - free text (email, note, call and meeting bodies; email and task subjects; call and meeting
+ *   titles) → "[scrubbed N chars]"
+ * - access tokens in query strings and private app tokens (pat-...) in any string → removed
+ * IDs, dates, counts and business fields (deal names, company names) are kept.
+ */
+
+import crypto from 'crypto'
+
+const EMAIL_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+const TOKEN_RE = /\bpat-[a-z0-9]+-[A-Za-z0-9-]+/g
+
+/** Query parameters that carry credentials; dropped from recorded URLs. */
+export const TOKEN_QUERY_PARAMS = ['hapikey', 'access_token', 'token']
+
+/** Property / field names whose values identify a person. */
+const PERSONAL_FIELD_RE =
+  /(^|_)(firstname|lastname|first_name|last_name|full_name|fullname|phone|mobilephone|mobile_phone|fax|address|street|zip|postal_code|ip_address|ip)(_|$)/i
+
+/** Property names holding free text (message bodies, notes, subjects and titles, e.g. hs_email_subject, hs_meeting_title). */
+const TEXT_FIELD_RE = /(^|_)(body|text|html|body_preview|note_body|call_body|meeting_body|message|subject|title)(_|$)/i
+
+function hash(value, length = 8) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, length)
+}
+
+/** Pseudonym for one email address. */
+export function scrubEmail(email) {
+  return `user-${hash(String(email).trim().toLowerCase())}@example.com`
+}
+
+/** Replace emails and tokens inside a string. */
+export function scrubString(value) {
+  return String(value).replace(TOKEN_RE, '[token]').replace(EMAIL_RE, (email) => scrubEmail(email))
+}
+
+/** Scrubbed value for a named field (property or form field); other fields get scrubString. */
+export function scrubField(name, value) {
+  if (value == null || value === '' || typeof value === 'boolean' || typeof value === 'number') return value
+  const field = String(name ?? '')
+  if (TEXT_FIELD_RE.test(field)) return `[scrubbed ${String(value).length} chars]`
+  const personal = field.match(PERSONAL_FIELD_RE)
+  // Email-valued fields keep the email pseudonym so matching still works
+  if (personal && String(value).search(EMAIL_RE) === -1) {
+    const label = personal[2].toLowerCase()
+    return `${label.charAt(0).toUpperCase()}${label.slice(1)}-${hash(String(value).trim().toLowerCase(), 6)}`
+  }
+  return scrubString(value)
+}
+
+/**
+ * Deep-scrub a parsed JSON value. Object keys are kept; values are scrubbed by their key, and
+ * form submission values ({ name, value }) by their field name.
+ */
+export function scrubJson(value, key = null) {
+  if (Array.isArray(value)) return value.map((item) => scrubJson(item, key))
+  if (value && typeof value === 'object') {
+    const out = {}
+    const isFormValue = typeof value.name === 'string' && 'value' in value && Object.keys(value).length <= 3
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = isFormValue && k === 'value' ? scrubField(value.name, v) : scrubJson(v, k)
+    }
+    return out
+  }
+  if (typeof value === 'string') return scrubField(key, value)
+  return value
+}
+
+/** URL search params without credentials, values scrubbed, sorted by name. Returns [[name, value]]. */
+export function scrubQuery(searchParams) {
+  return [...searchParams.entries()]
+    .filter(([name]) => !TOKEN_QUERY_PARAMS.includes(name.toLowerCase()))
+    .map(([name, value]) => [name, scrubString(value)])
+    .sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]))
+}
@@ -0,0 +1,51 @@
+/**
+ * `setup` command planning: which custom contact properties to create.
+ *
+ * Existing properties are never modified; one with the wrong type is reported as a conflict.
+ */
+
+import { collectWriteTargets } from './validate.js'
+
+/** HubSpot form field type used when creating a property of each type. */
+const FIELD_TYPES = {
+  number: 'number',
+  date: 'date',
+  datetime: 'date',
+  string: 'text',
+  bool: 'booleancheckbox',
+}
+
+/**
+ * Compare the properties the config writes with the portal's contact properties.
+ * Returns { create: target[], existing: target[], conflicts: { target, actualType }[] }.
+ * The same property name referenced twice is planned once.
+ */
+export function planPropertySetup(config, existingProperties) {
+  const byName = new Map(existingProperties.map((p) => [p.name, p]))
+  const plan = { create: [], existing: [], conflicts: [] }
+  const seen = new Set()
+  for (const target of collectWriteTargets(config)) {
+    if (seen.has(target.propertyName)) continue
+    seen.add(target.propertyName)
+    const def = byName.get(target.propertyName)
+    if (!def) plan.create.push(target)
+    else if (target.types.includes(def.type)) plan.existing.push(target)
+    else plan.conflicts.push({ target, actualType: def.type })
+  }
+  return plan
+}
+
+/**
+ * Properties API create payload for a planned target.
+ */
+export function toPropertyCreate(target, groupName) {
+  const type = target.types[0]
+  return {
+    name: target.propertyName,
+    label: target.label,
+    type,
+    fieldType: FIELD_TYPES[type] ?? 'text',
+    groupName,
+    description: `Written by hubspot-analysis (${target.source}).`,
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Incremental runs: the staleness policy (config.staleness) narrows the search to records whose
+ * counts could have changed, and a small state file remembers when the last full pass finished.
+ *
+ * A record is due when any enabled clause holds:
+ * - neverAnalyzed: analysisCompletedDateProperty is empty.
+ * - maxAgeDays: analysisCompletedDateProperty is more than N days old.
+ * - changedProperties: one of these date properties (e.g. lastmodifieddate, notes_last_updated) is
+ *   newer than the start of the last completed run, so changes made while that run was in progress
+ *   are picked up too.
+ * The Search API ORs filter groups, so each of the user's groups is repeated once per clause.
+ * With changedProperties and no recorded run, the first incremental run analyzes every record.
+ *
+ * The last run's own write-back bumps lastmodifieddate after its start, so the state file also keeps
+ * when each record was written; a record found only through changedProperties is skipped unless a
+ * changed property is newer than that write (see isDueAfterLastWrite).
+ *
+ * State file contents: { version, runs: { [objectType]: { startedAt, writtenAt: { [id]: ms } } } }.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { parseTimestamp } from './windows.js'
+
+const STATE_VERSION = 1
+const DAY_MS = 24 * 60 * 60 * 1000
+// HubSpot may set lastmodifieddate a little after our batch update returns (clock skew, follow-up
+// updates of calculated properties); changes that close to the write count as the write itself
+const OWN_WRITE_MARGIN_MS = 60 * 1000
+
+/** Whether the policy applies to this config (enabled and there is a date property to compare). */
+export function isStalenessEnabled(config) {
+  return Boolean(config.staleness?.enabled && config.analysisCompletedDateProperty)
+}
+
+/** Midnight UTC maxAgeDays before nowMs: records analyzed before it are too old. */
+function maxAgeCutoff(policy, nowMs) {
+  const todayMidnight = Math.floor(nowMs / DAY_MS) * DAY_MS
+  return todayMidnight - policy.maxAgeDays * DAY_MS
+}
+
+/**
+ * One filter per enabled clause (each becomes its own filter group). lastRunAt: ms the last
+ * completed run started, or null. nowMs: reference time for maxAgeDays.
+ * Returns [] when every record is due: with changedProperties and no previous run there is
+ * nothing to compare against, so the first incremental run is a full one.
+ */
+export function buildStalenessFilters(policy, dateProperty, { lastRunAt = null, nowMs = Date.now() } = {}) {
+  if ((policy.changedProperties || []).length > 0 && lastRunAt == null) return []
+  const filters = []
+  if (policy.neverAnalyzed !== false) filters.push({ propertyName: dateProperty, operator: 'NOT_HAS_PROPERTY' })
+  if (policy.maxAgeDays > 0) {
+    // The date property holds midnight UTC; anything before midnight N days ago is too old
+    filters.push({ propertyName: dateProperty, operator: 'LT', value: String(maxAgeCutoff(policy, nowMs)) })
+  }
+  for (const propertyName of policy.changedProperties || []) {
+    filters.push({ propertyName, operator: 'GT', value: String(lastRunAt) })
+  }
+  return filters
+}
+
+/**
+ * The user's filter groups combined with the policy: filters on the date property are dropped
+ * (the policy decides on it), and each group is repeated once per staleness filter (kept as is
+ * when there are none).
+ */
+export function applyStalenessPolicy(filterGroups, stalenessFilters, dateProperty) {
+  const groups = filterGroups?.length > 0 ? filterGroups : [{ filters: [] }]
+  return groups.flatMap((group) => {
+    const filters = (group.filters || []).filter((f) => f.propertyName !== dateProperty)
+    if (stalenessFilters.length === 0) return [{ ...group, filters }]
+    return stalenessFilters.map((filter) => ({ ...group, filters: [...filters, filter] }))
+  })
+}
+
+/**
+ * Whether a record the last run wrote at writtenAt (ms) is still due, judged from the search result's
+ * properties (which include the date property and changedProperties): never analyzed, too old, or a
+ * changed property newer than that write.
+ */
+export function isDueAfterLastWrite(properties, policy, dateProperty, writtenAt, { nowMs = Date.now() } = {}) {
+  const analyzedAt = parseTimestamp(properties?.[dateProperty])
+  if (policy.neverAnalyzed !== false && analyzedAt == null) return true
+  if (policy.maxAgeDays > 0 && analyzedAt != null && analyzedAt < maxAgeCutoff(policy, nowMs)) return true
+  return (policy.changedProperties || []).some(
+    (name) => (parseTimestamp(properties?.[name]) ?? 0) > writtenAt + OWN_WRITE_MARGIN_MS
+  )
+}
+
+/**
+ * The last completed run for objectType: { startedAt, writtenAt: Map<id, ms> }, or null.
+ */
+export async function loadLastRun(statePath, objectType) {
+  const state = await loadState(statePath)
+  const run = state.runs[objectType]
+  if (run?.startedAt == null) return null
+  return { startedAt: run.startedAt, writtenAt: new Map(Object.entries(run.writtenAt || {})) }
+}
+
+/**
+ * Record a completed run for objectType: when it started and when it wrote each record
+ * (writtenAt: Map<id, ms>). Writes to a temp file, then renames.
+ */
+export async function saveLastRun(statePath, objectType, { startedAt, writtenAt = new Map() }) {
+  const state = await loadState(statePath)
+  state.runs[objectType] = { startedAt, writtenAt: Object.fromEntries(writtenAt) }
+  await fs.mkdir(path.dirname(statePath), { recursive: true })
+  const tmpPath = `${statePath}.tmp`
+  await fs.writeFile(tmpPath, JSON.stringify({ version: STATE_VERSION, runs: state.runs }, null, 2) + '\n', 'utf-8')
+  await fs.rename(tmpPath, statePath)
+}
+
+async function loadState(statePath) {
+  try {
+    const data = JSON.parse(await fs.readFile(statePath, 'utf-8'))
+    if (data.version !== STATE_VERSION) return { runs: {} }
+    return { runs: data.runs || {} }
+  } catch (err) {
+    if (err.code === 'ENOENT') return { runs: {} }
+    throw err
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * First-touch / last-touch dates per contact across activity types.
+ *
+ * A touch is an associated activity with an hs_timestamp that is not in the future (scheduled
+ * meetings and tasks do not count until they happen). Direction is known for emails
+ * (hs_email_direction) and calls (hs_call_direction) and normalized to INBOUND / OUTBOUND.
+ */
+
+import { parseTimestamp } from './windows.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/** Activity properties needed per object type to compute touches. */
+export const TOUCH_PROPERTIES = {
+  emails: ['hs_timestamp', 'hs_email_direction'],
+  calls: ['hs_timestamp', 'hs_call_direction'],
+}
+
+/** Properties to fetch for an object type (hs_timestamp plus its direction property, if any). */
+export function getTouchProperties(objectType) {
+  return TOUCH_PROPERTIES[objectType] ?? ['hs_timestamp']
+}
+
+/**
+ * Normalized direction of an activity: 'INBOUND', 'OUTBOUND' or null when the type has none.
+ */
+export function getActivityDirection(objectType, props) {
+  if (objectType === 'emails') {
+    const d = String(props.hs_email_direction || '').toUpperCase()
+    if (d === 'INCOMING_EMAIL') return 'INBOUND'
+    if (d === 'EMAIL' || d === 'FORWARDED_EMAIL') return 'OUTBOUND'
+    return null
+  }
+  if (objectType === 'calls') {
+    const d = String(props.hs_call_direction || '').toUpperCase()
+    return d === 'INBOUND' || d === 'OUTBOUND' ? d : null
+  }
+  return null
+}
+
+/**
+ * Compute touch dates for one contact.
+ * associations: { [typeKey]: activityIds[] }; types: type keys to consider;
+ * detailsByType: { [typeKey]: Map<activityId, properties> }; objectTypes: { [typeKey]: objectType }.
+ * Returns { firstTouch, lastTouch, lastTouchType, lastTouchDirection, daysSinceLastTouch,
+ * lastInbound, lastOutbound, byType: { [typeKey]: { first, last } } } with dates as ms (or null).
+ */
+export function computeTouchDates(associations, types, detailsByType, objectTypes, nowMs = Date.now()) {
+  const result = {
+    firstTouch: null,
+    lastTouch: null,
+    lastTouchType: null,
+    lastTouchDirection: null,
+    daysSinceLastTouch: null,
+    lastInbound: null,
+    lastOutbound: null,
+    byType: {},
+  }
+  for (const type of types) {
+    const details = detailsByType[type] || new Map()
+    const byType = { first: null, last: null }
+    for (const id of associations[type] || []) {
+      const props = details.get(id)
+      const ts = parseTimestamp(props?.hs_timestamp)
+      if (ts == null || ts > nowMs) continue
+      if (byType.first == null || ts < byType.first) byType.first = ts
+      if (byType.last == null || ts > byType.last) byType.last = ts
+      if (result.firstTouch == null || ts < result.firstTouch) result.firstTouch = ts
+      const direction = getActivityDirection(objectTypes[type], props)
+      if (result.lastTouch == null || ts > result.lastTouch) {
+        result.lastTouch = ts
+        result.lastTouchType = type
+        result.lastTouchDirection = direction
+      }
+      if (direction === 'INBOUND' && (result.lastInbound == null || ts > result.lastInbound)) result.lastInbound = ts
+      if (direction === 'OUTBOUND' && (result.lastOutbound == null || ts > result.lastOutbound)) result.lastOutbound = ts
+    }
+    result.byType[type] = byType
+  }
+  if (result.lastTouch != null) result.daysSinceLastTouch = Math.floor((nowMs - result.lastTouch) / DAY_MS)
+  return result
+}
+
+/** Keys of touchValues(), in the order they are exported. */
+export const TOUCH_VALUE_KEYS = [
+  'firstTouchDate',
+  'lastTouchDate',
+  'lastTouchType',
+  'lastTouchDirection',
+  'daysSinceLastTouch',
+  'lastInboundDate',
+  'lastOutboundDate',
+]
+
+/** Keys of touchDates.properties that hold dates (written as midnight UTC). */
+export const TOUCH_DATE_KEYS = ['firstTouchDate', 'lastTouchDate', 'lastInboundDate', 'lastOutboundDate']
+
+/**
+ * Touch values keyed like touchDates.properties, for write-back and export.
+ * Dates stay as ms; the caller converts them for date properties.
+ */
+export function touchValues(touches) {
+  return {
+    firstTouchDate: touches.firstTouch,
+    lastTouchDate: touches.lastTouch,
+    lastTouchType: touches.lastTouchType,
+    lastTouchDirection: touches.lastTouchDirection,
+    daysSinceLastTouch: touches.daysSinceLastTouch,
+    lastInboundDate: touches.lastInbound,
+    lastOutboundDate: touches.lastOutbound,
+  }
+}
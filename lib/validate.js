@@ -0,0 +1,392 @@
+/**
+ * Preflight config validation against the portal's contact property definitions
+ * (or those of primaryObjectType).
+ *
+ * validateConfig() is pure: pass it the config and the property list from the CRM Properties API
+ * (GET /crm/v3/properties/{objectType}) and it returns { errors, warnings }. Errors stop `analyze`.
+ */
+
+import { PRIMARY_OBJECT_TYPES } from './objects.js'
+import { parseActivityType } from './associations.js'
+import { applyStalenessPolicy, buildStalenessFilters } from './staleness.js'
+
+/** CRM search filter operators and what each needs besides propertyName. */
+const FILTER_OPERATORS = {
+  EQ: 'value',
+  NEQ: 'value',
+  LT: 'value',
+  LTE: 'value',
+  GT: 'value',
+  GTE: 'value',
+  BETWEEN: 'range',
+  IN: 'values',
+  NOT_IN: 'values',
+  HAS_PROPERTY: 'none',
+  NOT_HAS_PROPERTY: 'none',
+  CONTAINS_TOKEN: 'value',
+  NOT_CONTAINS_TOKEN: 'value',
+}
+
+// CRM Search API limits on one request
+const SEARCH_MAX_FILTER_GROUPS = 5
+const SEARCH_MAX_FILTERS_PER_GROUP = 6
+const SEARCH_MAX_FILTERS = 18
+
+const RANGE_OPERATORS = new Set(['LT', 'LTE', 'GT', 'GTE', 'BETWEEN'])
+const RANGE_TYPES = new Set(['number', 'date', 'datetime'])
+
+/** Standard object types accepted by the v4 associations API. */
+export const STANDARD_OBJECT_TYPES = new Set([
+  'contacts',
+  'companies',
+  'deals',
+  'tickets',
+  'calls',
+  'emails',
+  'meetings',
+  'notes',
+  'tasks',
+  'communications',
+  'postal_mail',
+  'line_items',
+  'products',
+  'quotes',
+  'leads',
+])
+
+/** Custom object type IDs look like "2-1234567"; fully qualified names like "p1234567_enrollments". */
+const CUSTOM_OBJECT_TYPE_RE = /^(\d+-\d+|p\d+_[a-z0-9_]+)$/i
+
+/** Counter keys written from customProperties that are not association types. */
+const EXTRA_COUNTER_KEYS = ['emailOpens', 'emailClicks', 'formSubmissions']
+
+/** "emailOpens" / "form_submissions" → "email opens" / "form submissions". */
+function humanize(key) {
+  return String(key)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/_/g, ' ')
+    .toLowerCase()
+}
+
+/** Optional feature blocks as analyze uses them: the block when enabled, else null. */
+function enabledFeatures(config) {
+  return {
+    activityWindows: config.activityWindows?.enabled ? config.activityWindows : null,
+    touchDates: config.touchDates?.enabled ? config.touchDates : null,
+    formMetrics: config.fetchFormSubmissions && config.formSubmissionMetrics?.enabled ? config.formSubmissionMetrics : null,
+    scoring: config.scoring?.enabled ? config.scoring : null,
+  }
+}
+
+/**
+ * Contact properties this script writes, with the property types each accepts
+ * (the first type is the one `setup` creates) and a default label. Properties of disabled
+ * features (enabled: false) are left out.
+ * Returns [{ source, propertyName, types, label }].
+ */
+export function collectWriteTargets(config) {
+  const { activityWindows, touchDates, formMetrics, scoring } = enabledFeatures(config)
+  const targets = []
+  for (const [key, propertyName] of Object.entries(config.customProperties || {})) {
+    if (propertyName) {
+      targets.push({ source: `customProperties.${key}`, propertyName, types: ['number'], label: `Number of ${humanize(key)}` })
+    }
+  }
+  for (const [key, propertyName] of Object.entries(config.dealMetricProperties || {})) {
+    if (!propertyName) continue
+    const isDate = key === 'lastCloseDate'
+    targets.push({
+      source: `dealMetricProperties.${key}`,
+      propertyName,
+      types: isDate ? ['date', 'datetime'] : ['number'],
+      label: isDate ? 'Last deal close date' : `Deals: ${humanize(key)}`,
+    })
+  }
+  for (const [type, byWindow] of Object.entries(activityWindows?.properties || {})) {
+    for (const [windowKey, propertyName] of Object.entries(byWindow || {})) {
+      if (!propertyName) continue
+      targets.push({
+        source: `activityWindows.properties.${type}.${windowKey}`,
+        propertyName,
+        types: ['number'],
+        label: `Number of ${humanize(type)} (${humanize(windowKey)})`,
+      })
+    }
+  }
+  const { byType: touchByType = {}, ...touchProperties } = touchDates?.properties || {}
+  for (const [key, propertyName] of Object.entries(touchProperties)) {
+    if (!propertyName) continue
+    const types = key.endsWith('Date') ? ['date', 'datetime'] : key === 'daysSinceLastTouch' ? ['number'] : ['string', 'enumeration']
+    targets.push({ source: `touchDates.properties.${key}`, propertyName, types, label: humanize(key).replace(/^\w/, (c) => c.toUpperCase()) })
+  }
+  for (const [type, byKey] of Object.entries(touchByType)) {
+    for (const [key, propertyName] of Object.entries(byKey || {})) {
+      if (!propertyName) continue
+      targets.push({
+        source: `touchDates.properties.byType.${type}.${key}`,
+        propertyName,
+        types: ['date', 'datetime'],
+        label: `${key === 'firstDate' ? 'First' : 'Last'} ${humanize(type)} date`,
+      })
+    }
+  }
+  for (const [key, propertyName] of Object.entries(formMetrics?.properties || {})) {
+    if (!propertyName) continue
+    const types = key.endsWith('Date') ? ['date', 'datetime'] : ['lastFormName', 'lastPageUrl'].includes(key) ? ['string'] : ['number']
+    targets.push({ source: `formSubmissionMetrics.properties.${key}`, propertyName, types, label: `Form submissions: ${humanize(key)}` })
+  }
+  for (const [field, propertyName] of Object.entries(formMetrics?.copyFields || {})) {
+    if (!propertyName) continue
+    targets.push({
+      source: `formSubmissionMetrics.copyFields.${field}`,
+      propertyName,
+      types: ['string', 'enumeration'],
+      label: `Form field: ${humanize(field)}`,
+    })
+  }
+  const scoreProperties = scoring?.properties || {}
+  if (scoreProperties.score) {
+    targets.push({ source: 'scoring.properties.score', propertyName: scoreProperties.score, types: ['number'], label: 'Engagement score' })
+  }
+  if (scoreProperties.tier) {
+    targets.push({
+      source: 'scoring.properties.tier',
+      propertyName: scoreProperties.tier,
+      types: ['string', 'enumeration'],
+      label: 'Engagement tier',
+    })
+  }
+  if (config.analysisCompletedDateProperty) {
+    targets.push({
+      source: 'analysisCompletedDateProperty',
+      propertyName: config.analysisCompletedDateProperty,
+      types: ['date', 'datetime'],
+      label: 'Analysis completed date',
+    })
+  }
+  return targets
+}
+
+function checkFilter(filter, where, propsByName, errors, warnings) {
+  const { propertyName, operator } = filter
+  if (!propertyName) {
+    errors.push(`${where}: missing propertyName.`)
+    return
+  }
+  // propsByName is null for filters on other object types (not checked against properties)
+  const def = propsByName?.get(propertyName)
+  if (propsByName && !def) errors.push(`${where}: property "${propertyName}" does not exist.`)
+
+  const needs = FILTER_OPERATORS[operator]
+  if (!needs) {
+    errors.push(`${where}: unknown operator "${operator}" (use ${Object.keys(FILTER_OPERATORS).join(', ')}).`)
+    return
+  }
+  if (needs === 'value' && (filter.value == null || filter.value === '')) {
+    errors.push(`${where}: operator ${operator} needs "value".`)
+  }
+  if (needs === 'range' && (filter.value == null || filter.highValue == null)) {
+    errors.push(`${where}: operator BETWEEN needs "value" and "highValue".`)
+  }
+  if (needs === 'values' && (!Array.isArray(filter.values) || filter.values.length === 0)) {
+    errors.push(`${where}: operator ${operator} needs a non-empty "values" array.`)
+  }
+  if (def && RANGE_OPERATORS.has(operator) && !RANGE_TYPES.has(def.type)) {
+    warnings.push(`${where}: ${operator} on "${propertyName}" (type ${def.type}) compares as text.`)
+  }
+}
+
+/**
+ * Validate config against contact property definitions.
+ * properties: array of { name, type, label, modificationMetadata } from the Properties API.
+ * Returns { errors: string[], warnings: string[] }.
+ */
+export function validateConfig(config, properties) {
+  const errors = []
+  const warnings = []
+  const { activityWindows, touchDates, scoring } = enabledFeatures(config)
+  const propsByName = new Map(properties.map((p) => [p.name, p]))
+  const search = config.contactSearch || {}
+
+  const primaryType = config.primaryObjectType || 'contacts'
+  if (!PRIMARY_OBJECT_TYPES[primaryType]) {
+    errors.push(`primaryObjectType: "${primaryType}" is not supported (use ${Object.keys(PRIMARY_OBJECT_TYPES).join(', ')}).`)
+  }
+  if (config.rollUpContactActivities && primaryType === 'contacts') {
+    warnings.push('rollUpContactActivities: only applies to companies and deals.')
+  }
+
+  // Properties we write
+  for (const { source, propertyName, types } of collectWriteTargets(config)) {
+    const def = propsByName.get(propertyName)
+    if (!def) {
+      errors.push(`${source}: property "${propertyName}" does not exist (create it as ${types[0]}).`)
+      continue
+    }
+    if (!types.includes(def.type)) {
+      errors.push(`${source}: property "${propertyName}" is type ${def.type}, expected ${types.join(' or ')}.`)
+    }
+    if (def.modificationMetadata?.readOnlyValue || def.calculated) {
+      errors.push(`${source}: property "${propertyName}" is read-only.`)
+    }
+  }
+
+  // Counters without a destination
+  const counterKeys = new Set([...Object.keys(config.activityTypesToCount || {}), ...EXTRA_COUNTER_KEYS])
+  for (const key of Object.keys(config.customProperties || {})) {
+    if (!counterKeys.has(key)) warnings.push(`customProperties.${key}: no counter with that key; it is never written.`)
+  }
+  for (const key of Object.keys(config.activityTypesToCount || {})) {
+    if (!config.customProperties?.[key]) warnings.push(`activityTypesToCount.${key}: no customProperties mapping; not written.`)
+  }
+
+  // Search filters, sorts, fetched properties
+  for (const [g, group] of (search.filterGroups || []).entries()) {
+    for (const [f, filter] of (group.filters || []).entries()) {
+      checkFilter(filter, `contactSearch.filterGroups[${g}].filters[${f}]`, propsByName, errors, warnings)
+    }
+  }
+  for (const [i, sort] of (search.sorts || []).entries()) {
+    if (!propsByName.has(sort.propertyName)) {
+      errors.push(`contactSearch.sorts[${i}]: property "${sort.propertyName}" does not exist.`)
+    }
+    if (sort.direction && !['ASCENDING', 'DESCENDING'].includes(sort.direction)) {
+      errors.push(`contactSearch.sorts[${i}]: direction must be ASCENDING or DESCENDING.`)
+    }
+  }
+  for (const name of search.properties || []) {
+    if (!propsByName.has(name)) warnings.push(`contactSearch.properties: "${name}" does not exist; it will come back empty.`)
+  }
+  if (search.limit > 200) warnings.push('contactSearch.limit: max is 200; larger values are capped.')
+
+  // Staleness policy (incremental runs)
+  const staleness = config.staleness?.enabled ? config.staleness : null
+  let searchGroups = search.filterGroups || []
+  if (staleness) {
+    const dateProperty = config.analysisCompletedDateProperty
+    const changed = staleness.changedProperties || []
+    if (!dateProperty) errors.push('staleness: needs analysisCompletedDateProperty to tell when a record was analyzed.')
+    if (staleness.neverAnalyzed === false && !(staleness.maxAgeDays > 0) && changed.length === 0) {
+      errors.push('staleness: no clause enabled (neverAnalyzed, maxAgeDays or changedProperties); no record would be due.')
+    }
+    for (const name of changed) {
+      const def = propsByName.get(name)
+      if (!def) errors.push(`staleness.changedProperties: property "${name}" does not exist.`)
+      else if (!['date', 'datetime'].includes(def.type)) {
+        errors.push(`staleness.changedProperties: "${name}" is type ${def.type}, expected date or datetime.`)
+      }
+    }
+    if ((search.sorts || []).length > 0) {
+      warnings.push('contactSearch.sorts: ignored with staleness enabled; incremental runs read records in hs_object_id order.')
+    }
+    // Filter groups the search will actually send (every clause present)
+    if (dateProperty) {
+      searchGroups = applyStalenessPolicy(searchGroups, buildStalenessFilters(staleness, dateProperty, { lastRunAt: 0 }), dateProperty)
+      if (searchGroups.length > SEARCH_MAX_FILTER_GROUPS) {
+        errors.push(
+          `staleness: contactSearch.filterGroups repeated once per clause gives ${searchGroups.length} filter groups; ` +
+            `HubSpot allows ${SEARCH_MAX_FILTER_GROUPS}. Use fewer groups or clauses.`
+        )
+      }
+    }
+  }
+
+  // Searches over 10,000 results (and every incremental run) are sliced by adding an hs_object_id
+  // filter to every group
+  const filterCounts = searchGroups.map((group) => (group.filters || []).length)
+  if (
+    filterCounts.some((n) => n >= SEARCH_MAX_FILTERS_PER_GROUP) ||
+    filterCounts.reduce((sum, n) => sum + n, 0) + filterCounts.length > SEARCH_MAX_FILTERS
+  ) {
+    const message =
+      `contactSearch.filterGroups: no room for the hs_object_id filter used to read more than 10,000 results ` +
+      `(HubSpot allows ${SEARCH_MAX_FILTERS_PER_GROUP} filters per group, ${SEARCH_MAX_FILTERS} in total)`
+    if (staleness) errors.push(`${message}; incremental runs always need it.`)
+    else warnings.push(`${message}; a larger result set would fail.`)
+  }
+
+  // Association object types
+  for (const [key, entry] of Object.entries(config.activityTypesToCount || {})) {
+    const { objectType, associationTypeIds, filters } = parseActivityType(entry)
+    if (!STANDARD_OBJECT_TYPES.has(objectType) && !CUSTOM_OBJECT_TYPE_RE.test(String(objectType))) {
+      errors.push(`activityTypesToCount.${key}: "${objectType}" is not a known object type or custom object type ID.`)
+    }
+    if (associationTypeIds.some((id) => !Number.isInteger(id) || id <= 0)) {
+      errors.push(`activityTypesToCount.${key}.associationTypeIds: must be positive integers.`)
+    }
+    for (const [f, filter] of filters.entries()) {
+      checkFilter(filter, `activityTypesToCount.${key}.filters[${f}]`, null, errors, warnings)
+    }
+    if (associationTypeIds.length > 0 && config.rollUpContactActivities && primaryType !== 'contacts') {
+      warnings.push(
+        `activityTypesToCount.${key}.associationTypeIds: type IDs differ per object pair; rolled-up contact associations rarely match (use associationLabels).`
+      )
+    }
+  }
+
+  // Activity windows
+  const windows = activityWindows?.windows || {}
+  for (const [windowKey, w] of Object.entries(windows)) {
+    if (!(w.days > 0) && !w.relativeTo) {
+      errors.push(`activityWindows.windows.${windowKey}: needs "days" (> 0) and/or "relativeTo".`)
+    }
+    if (w.relativeTo) {
+      const def = propsByName.get(w.relativeTo)
+      if (!def) errors.push(`activityWindows.windows.${windowKey}: property "${w.relativeTo}" does not exist.`)
+      else if (!['date', 'datetime'].includes(def.type)) {
+        errors.push(`activityWindows.windows.${windowKey}: "${w.relativeTo}" is type ${def.type}, expected date or datetime.`)
+      }
+    }
+  }
+  for (const type of activityWindows?.types || []) {
+    if (!config.activityTypesToCount?.[type]) {
+      warnings.push(`activityWindows.types: "${type}" is not in activityTypesToCount; it is skipped.`)
+    }
+  }
+  for (const [type, byWindow] of Object.entries(activityWindows?.properties || {})) {
+    for (const windowKey of Object.keys(byWindow || {})) {
+      if (!windows[windowKey]) warnings.push(`activityWindows.properties.${type}.${windowKey}: no window "${windowKey}".`)
+    }
+  }
+
+  for (const type of touchDates?.types || []) {
+    if (!config.activityTypesToCount?.[type]) {
+      warnings.push(`touchDates.types: "${type}" is not in activityTypesToCount; it is skipped.`)
+    }
+  }
+
+  // Email engagement window
+  for (const name of ['emailEngagementOccurredAfter', 'emailEngagementOccurredBefore']) {
+    const value = config[name]
+    if (value != null && value !== '' && Number.isNaN(new Date(value).getTime())) {
+      errors.push(`${name}: "${value}" is not a valid date (use YYYY-MM-DD).`)
+    }
+  }
+
+  // Scoring
+  for (const [key, def] of Object.entries(scoring?.signals || {})) {
+    if (typeof def.weight !== 'number') errors.push(`scoring.signals.${key}: "weight" must be a number.`)
+    if (def.halfLifeDays != null && !(def.halfLifeDays > 0)) errors.push(`scoring.signals.${key}: "halfLifeDays" must be > 0.`)
+  }
+  for (const name of Object.keys(scoring?.penalties || {})) {
+    if (!['bouncedEmail', 'failedEmail'].includes(name)) warnings.push(`scoring.penalties.${name}: unknown penalty; use bouncedEmail or failedEmail.`)
+  }
+
+  if (config.programStartDateProperty && !propsByName.has(config.programStartDateProperty)) {
+    warnings.push(`programStartDateProperty: "${config.programStartDateProperty}" does not exist; --since/--until will fail.`)
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * Print the validation report. Returns true when there are no errors.
+ */
+export function printValidationReport({ errors, warnings }, log = console.log) {
+  log('Config validation:')
+  for (const msg of errors) log(`  ERROR    ${msg}`)
+  for (const msg of warnings) log(`  WARNING  ${msg}`)
+  if (errors.length === 0 && warnings.length === 0) log('  OK: all referenced properties exist with compatible types.')
+  else log(`  ${errors.length} error(s), ${warnings.length} warning(s).`)
+  return errors.length === 0
+}
@@ -0,0 +1,88 @@
+/**
+ * Time-windowed activity counts per contact, based on each activity's hs_timestamp.
+ *
+ * Window definitions (config.activityWindows.windows):
+ * - { days: N }: activities in the last N days (up to now).
+ * - { relativeTo: 'contact_date_property' }: activities on or after the contact's date in that property.
+ * - { relativeTo: 'contact_date_property', days: N }: activities in the N days starting at that date.
+ * A relative window is null (not written) when the contact has no value for the property.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/** Parse a HubSpot timestamp/date value (ms number, ms string, or ISO string) to ms; null if unparseable. */
+export function parseTimestamp(value) {
+  if (value == null || value === '') return null
+  if (typeof value === 'number') return Number.isNaN(value) ? null : value
+  if (/^\d+$/.test(String(value))) return Number(value)
+  const t = new Date(value).getTime()
+  return Number.isNaN(t) ? null : t
+}
+
+/** ISO string for a value parseTimestamp accepts; null if empty or unparseable. */
+export function toIsoTimestamp(value) {
+  const ms = parseTimestamp(value)
+  return ms == null ? null : new Date(ms).toISOString()
+}
+
+/**
+ * Contact properties the windows depend on (to request in the contact search).
+ */
+export function getWindowContactProperties(windows) {
+  return [...new Set(Object.values(windows || {}).map((w) => w.relativeTo).filter(Boolean))]
+}
+
+/**
+ * Resolve one window to a [startMs, endMs] range for a contact, or null when it cannot apply.
+ */
+export function resolveWindowRange(window, contactProperties, nowMs) {
+  if (window.relativeTo) {
+    const startMs = parseTimestamp(contactProperties?.[window.relativeTo])
+    if (startMs == null) return null
+    return [startMs, window.days > 0 ? startMs + window.days * DAY_MS : nowMs]
+  }
+  if (window.days > 0) return [nowMs - window.days * DAY_MS, nowMs]
+  return null
+}
+
+/**
+ * Count activities per type and window for one contact.
+ * associations: { [typeKey]: activityIds[] }; timestampsByType: { [typeKey]: Map<activityId, ms|null> }.
+ * Returns { [typeKey]: { [windowKey]: number|null } }.
+ */
+export function computeWindowCounts(associations, timestampsByType, { types, windows }, contactProperties, nowMs = Date.now()) {
+  const ranges = Object.entries(windows || {}).map(([key, w]) => [key, resolveWindowRange(w, contactProperties, nowMs)])
+  const counts = {}
+  for (const type of types || []) {
+    const timestamps = timestampsByType[type] || new Map()
+    counts[type] = {}
+    for (const [windowKey, range] of ranges) {
+      if (!range) {
+        counts[type][windowKey] = null
+        continue
+      }
+      let n = 0
+      for (const id of associations[type] || []) {
+        const ts = timestamps.get(id)
+        if (ts != null && ts >= range[0] && ts <= range[1]) n += 1
+      }
+      counts[type][windowKey] = n
+    }
+  }
+  return counts
+}
+
+/**
+ * Flatten window counts to contact property values using the nested mapping
+ * { [typeKey]: { [windowKey]: propertyName } }. Unmapped pairs and null counts are skipped.
+ */
+export function buildWindowProperties(windowCounts, mapping) {
+  const properties = {}
+  for (const [type, byWindow] of Object.entries(mapping || {})) {
+    for (const [windowKey, propertyName] of Object.entries(byWindow || {})) {
+      const value = windowCounts[type]?.[windowKey]
+      if (propertyName && value != null) properties[propertyName] = String(value)
+    }
+  }
+  return properties
+}
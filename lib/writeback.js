@@ -0,0 +1,204 @@
+/**
+ * Write-back: map analysis results to property values of the primary object type, batch-update
+ * them, and the dry-run diff against current values.
+ *
+ * Mapping helpers take the config; functions that call HubSpot or print take the run context
+ * (lib/context.js).
+ */
+
+import { pause } from './context.js'
+import { FORM_METRIC_DATE_KEYS } from './forms.js'
+import { getPrimaryObject } from './objects.js'
+import { TOUCH_DATE_KEYS, touchValues } from './touches.js'
+import { parseTimestamp } from './windows.js'
+
+const CONTACTS_BATCH_UPDATE_SIZE = 100 // HubSpot batch update limit
+
+/**
+ * Today at midnight UTC (ms since epoch) as a string.
+ * HubSpot date properties require midnight, not a timestamp with time.
+ */
+export function todayMidnightUtcString() {
+  return toMidnightUtcString(Date.now())
+}
+
+/**
+ * Midnight UTC of the day containing `ms`, as a string (for HubSpot date properties).
+ */
+export function toMidnightUtcString(ms) {
+  const d = new Date(ms)
+  return String(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()))
+}
+
+/**
+ * Map counter values to contact property values using a { counterKey: propertyName } mapping
+ * (e.g. config.customProperties). Counters without a mapped property name are skipped.
+ * Returns { [propertyName]: string }.
+ */
+export function buildCounterProperties(counters, mapping = {}) {
+  const properties = {}
+  for (const [key, value] of Object.entries(counters)) {
+    const propName = mapping[key]
+    if (!propName || value == null) continue
+    properties[propName] = String(value)
+  }
+  return properties
+}
+
+/**
+ * Deal metric values as contact property values using config.dealMetricProperties.
+ * lastCloseDate is written as midnight UTC of the close date (date property).
+ */
+export function buildDealMetricProperties(config, metrics) {
+  const values = {
+    ...metrics,
+    lastCloseDate: metrics.lastCloseDate != null ? toMidnightUtcString(metrics.lastCloseDate) : null,
+  }
+  return buildCounterProperties(values, config.dealMetricProperties || {})
+}
+
+/**
+ * Form submission metrics as contact property values using config.formSubmissionMetrics.properties
+ * (dates as midnight UTC), plus copied field values.
+ */
+export function buildFormMetricProperties(config, metrics, copies) {
+  const values = { ...metrics }
+  for (const key of FORM_METRIC_DATE_KEYS) {
+    if (values[key] != null) values[key] = toMidnightUtcString(values[key])
+  }
+  return { ...buildCounterProperties(values, config.formSubmissionMetrics?.properties || {}), ...copies }
+}
+
+/**
+ * Touch values as contact property values using config.touchDates.properties.
+ * Dates are written as midnight UTC; per-type dates come from properties.byType.
+ */
+export function buildTouchProperties(config, touches) {
+  const mapping = config.touchDates?.properties || {}
+  const values = touchValues(touches)
+  for (const key of TOUCH_DATE_KEYS) {
+    if (values[key] != null) values[key] = toMidnightUtcString(values[key])
+  }
+  const { byType = {}, ...topLevel } = mapping
+  const properties = buildCounterProperties(values, topLevel)
+  for (const [type, byKey] of Object.entries(byType)) {
+    const dates = touches.byType[type]
+    if (!dates) continue
+    Object.assign(
+      properties,
+      buildCounterProperties(
+        {
+          firstDate: dates.first != null ? toMidnightUtcString(dates.first) : null,
+          lastDate: dates.last != null ? toMidnightUtcString(dates.last) : null,
+        },
+        byKey || {}
+      )
+    )
+  }
+  return properties
+}
+
+/**
+ * Contact property names this script writes: mapped counters, deal metrics, windowed counts,
+ * touch dates and analysis_completed_date.
+ */
+export function getTargetPropertyNames(config) {
+  const windowProperties = Object.values(config.activityWindows?.properties || {}).flatMap((byWindow) =>
+    Object.values(byWindow || {})
+  )
+  const { byType: touchByType = {}, ...touchProperties } = config.touchDates?.properties || {}
+  const names = [
+    ...Object.values(config.customProperties || {}),
+    ...Object.values(config.dealMetricProperties || {}),
+    ...windowProperties,
+    ...Object.values(touchProperties),
+    ...Object.values(touchByType).flatMap((byKey) => Object.values(byKey || {})),
+    ...Object.values(config.scoring?.properties || {}),
+    ...Object.values(config.formSubmissionMetrics?.properties || {}),
+    ...Object.values(config.formSubmissionMetrics?.copyFields || {}),
+  ].filter(Boolean)
+  if (config.analysisCompletedDateProperty) names.push(config.analysisCompletedDateProperty)
+  return [...new Set(names)]
+}
+
+/**
+ * Build batch update inputs: counter properties plus analysis_completed_date (today) per contact.
+ * propertiesByContactId: Map<contactId, { [propertyName]: string }>.
+ * Returns [{ id, properties }].
+ */
+export function buildContactUpdateInputs(config, propertiesByContactId) {
+  const dateProp = config.analysisCompletedDateProperty
+  const todayMs = todayMidnightUtcString()
+  const inputs = []
+  for (const [id, properties] of propertiesByContactId) {
+    const props = { ...properties }
+    if (dateProp) props[dateProp] = todayMs
+    if (Object.keys(props).length > 0) inputs.push({ id: String(id), properties: props })
+  }
+  return inputs
+}
+
+/**
+ * Batch-update contacts (or the primary object type) with their counter properties plus
+ * analysis_completed_date (today).
+ * propertiesByContactId: Map<contactId, { [propertyName]: string }>.
+ */
+export async function writeContactProperties(ctx, propertiesByContactId) {
+  const objectType = ctx.config.primaryObjectType || 'contacts'
+  const inputs = buildContactUpdateInputs(ctx.config, propertiesByContactId)
+  for (let i = 0; i < inputs.length; i += CONTACTS_BATCH_UPDATE_SIZE) {
+    const batch = inputs.slice(i, i + CONTACTS_BATCH_UPDATE_SIZE)
+    await ctx.requests.call(`${objectType} batch update`, () => ctx.client.crm.objects.batchApi.update(objectType, { inputs: batch }))
+    await pause(ctx)
+  }
+}
+
+/**
+ * Compare a current HubSpot property value with the value we would write.
+ * Numbers compare numerically; dates compare by day (HubSpot may return date properties
+ * as ISO strings while we write ms at midnight UTC).
+ */
+export function isSamePropertyValue(oldValue, newValue) {
+  if (oldValue == null || oldValue === '') return newValue == null || newValue === ''
+  if (String(oldValue) === String(newValue)) return true
+  const oldNum = Number(oldValue)
+  const newNum = Number(newValue)
+  if (!Number.isNaN(oldNum) && !Number.isNaN(newNum)) return oldNum === newNum
+  const oldMs = parseTimestamp(oldValue)
+  if (oldMs != null && !Number.isNaN(newNum)) return oldMs === newNum
+  return false
+}
+
+/**
+ * Dry run: print old → new per contact and property instead of writing.
+ * analysis_completed_date is set on every write, so it is left out of the diff and the counts
+ * (the run summary mentions it once).
+ * contactsById: Map<contactId, contact> (contacts searched with the target properties).
+ * Returns { contactsChanged, propertiesChanged }.
+ */
+export function reportContactPropertyChanges(ctx, contactsById, propertiesByContactId) {
+  const { label } = getPrimaryObject(ctx.config.primaryObjectType)
+  const Label = label[0].toUpperCase() + label.slice(1)
+  const dateProp = ctx.config.analysisCompletedDateProperty
+  let contactsChanged = 0
+  let propertiesChanged = 0
+  for (const [contactId, properties] of propertiesByContactId) {
+    const id = String(contactId)
+    const current = contactsById.get(id)?.properties || {}
+    const changes = Object.entries(properties).filter(
+      ([name, value]) => name !== dateProp && !isSamePropertyValue(current[name], value)
+    )
+    if (changes.length === 0) {
+      ctx.log(`  [dry run] ${Label} ${id}: no changes`)
+      continue
+    }
+    contactsChanged += 1
+    propertiesChanged += changes.length
+    ctx.log(`  [dry run] ${Label} ${id}:`)
+    for (const [name, value] of changes) {
+      const oldValue = current[name] == null || current[name] === '' ? '(empty)' : current[name]
+      ctx.log(`      ${name}: ${oldValue} → ${value}`)
+    }
+  }
+  return { contactsChanged, propertiesChanged }
+}
@@ -0,0 +1,173 @@
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import path from 'path'
+import test from 'node:test'
+import { runAnalysis } from '../lib/analysis.js'
+import { makeTempDir, quietContext, startFakeHubSpot, testConfig } from './helpers.js'
+
+const ALL_CONTACTS = { filterGroups: [], sorts: [], maxContacts: 0 }
+
+function parseCsv(text) {
+  return text
+    .trim()
+    .split('\n')
+    .map((line) => line.split(','))
+}
+
+test('exports JSON Lines and CSV per contact', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  const dir = await makeTempDir(t)
+  const ctx = quietContext(testConfig(fake.baseUrl, { output: { outputDir: dir, formats: ['jsonl', 'csv'] } }))
+
+  const result = await runAnalysis({ ctx })
+  assert.equal(result.totalProcessed, 2)
+
+  const jsonl = (await fs.readFile(path.join(dir, 'analysis.jsonl'), 'utf-8')).trim().split('\n').map((line) => JSON.parse(line))
+  assert.deepEqual(jsonl.map((r) => r.contactId).sort(), ['101', '102'])
+  const ada = jsonl.find((r) => r.contactId === '101')
+  assert.deepEqual(ada.counts, { deals: 1, calls: 1, emails: 1, meetings: 0, notes: 0, tasks: 0, emailOpens: 1, emailClicks: 1, formSubmissions: 1 })
+  assert.equal(ada.deals[0].stageLabel, 'Appointment Scheduled')
+
+  const [header, ...rows] = parseCsv(await fs.readFile(path.join(dir, 'contacts.csv'), 'utf-8'))
+  assert.equal(header[0], 'contactId')
+  assert.equal(rows.length, 2)
+  const deals = parseCsv(await fs.readFile(path.join(dir, 'deals.csv'), 'utf-8'))
+  assert.deepEqual(deals[0].slice(0, 2), ['contactId', 'dealId'])
+  assert.deepEqual(deals.slice(1).map((row) => row.slice(0, 2)).sort(), [['101', '201'], ['102', '202']])
+  const emails = parseCsv(await fs.readFile(path.join(dir, 'emails.csv'), 'utf-8'))
+  assert.equal(emails.length, 3)
+})
+
+test('exports key every CSV file by the analyzed object type', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  const dir = await makeTempDir(t)
+  const ctx = quietContext(
+    testConfig(fake.baseUrl, { primaryObjectType: 'deals', output: { outputDir: dir, formats: ['csv'] }, contactSearch: ALL_CONTACTS })
+  )
+
+  await runAnalysis({ ctx })
+  for (const file of ['contacts.csv', 'deals.csv', 'emails.csv', 'activities.csv', 'form_submissions.csv']) {
+    const [header] = parseCsv(await fs.readFile(path.join(dir, file), 'utf-8'))
+    assert.equal(header[0], 'dealId', file)
+  }
+  const [dealsHeader] = parseCsv(await fs.readFile(path.join(dir, 'deals.csv'), 'utf-8'))
+  assert.equal(dealsHeader[1], 'associatedDealId')
+})
+
+test('a dry run counts changed values without writing, and the timestamp is not counted', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  const config = testConfig(fake.baseUrl)
+
+  const dry = await runAnalysis({ ctx: quietContext(config), dryRun: true })
+  assert.equal(dry.contactsChanged, 2)
+  assert.equal(dry.propertiesChanged, 12)
+  assert.equal(fake.writes.length, 0)
+
+  await runAnalysis({ ctx: quietContext(config) })
+  assert.equal(fake.writes.length, 2)
+
+  // Same counts as written: only analysis_completed_date would be set again
+  const again = await runAnalysis({ ctx: quietContext(config), dryRun: true })
+  assert.equal(again.contactsChanged, 0)
+  assert.equal(again.propertiesChanged, 0)
+})
+
+test('records left out after an interruption are retried on resume', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  const dir = await makeTempDir(t)
+  const checkpointPath = path.join(dir, 'checkpoint.json')
+  fake.data.associationErrors = { 'contacts/deals': { 102: 3 } }
+  const config = testConfig(fake.baseUrl, { checkpointPath, contactSearch: { ...ALL_CONTACTS, limit: 1 } })
+
+  // Contact 102's deals can't be read; the run dies after the second page
+  const crash = (page) => {
+    if (page.pageNumber === 2) throw new Error('interrupted')
+  }
+  await assert.rejects(runAnalysis({ ctx: quietContext(config), hooks: { onPage: crash } }), /interrupted/)
+  const checkpoint = JSON.parse(await fs.readFile(checkpointPath, 'utf-8'))
+  assert.deepEqual(checkpoint.processedContactIds, ['101'])
+  assert.deepEqual(checkpoint.failedContactIds, ['102'])
+  assert.equal(checkpoint.totalProcessed, 1)
+
+  const processed = []
+  const resumed = await runAnalysis({
+    ctx: quietContext(config),
+    resume: true,
+    hooks: { onContact: (record) => processed.push(record.contactId) },
+  })
+  assert.deepEqual(processed, ['102', '103'])
+  assert.equal(resumed.totalProcessed, 3)
+  assert.deepEqual(resumed.failedContactIds, [])
+  assert.deepEqual(fake.writes.map((w) => w.id).sort(), ['101', '102', '103'])
+  await assert.rejects(fs.access(checkpointPath))
+})
+
+test('skipped pages stay in the checkpoint after the search ends', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  const dir = await makeTempDir(t)
+  const checkpointPath = path.join(dir, 'checkpoint.json')
+  const config = testConfig(fake.baseUrl, { checkpointPath, contactSearch: { ...ALL_CONTACTS, limit: 1 } })
+
+  const failFor103 = ({ contacts }) => {
+    if (contacts.some((c) => c.id === '103')) throw new Error('write failed')
+  }
+  const first = await runAnalysis({ ctx: quietContext(config), hooks: { beforeWrite: failFor103, onError: () => true } })
+  assert.equal(first.totalProcessed, 2)
+  assert.deepEqual(first.failedContactIds, ['103'])
+  const checkpoint = JSON.parse(await fs.readFile(checkpointPath, 'utf-8'))
+  assert.equal(checkpoint.searchDone, true)
+  assert.deepEqual(checkpoint.failedContactIds, ['103'])
+
+  const processed = []
+  const resumed = await runAnalysis({ ctx: quietContext(config), resume: true, hooks: { onContact: (r) => processed.push(r.contactId) } })
+  assert.deepEqual(processed, ['103'])
+  assert.equal(resumed.totalProcessed, 3)
+  await assert.rejects(fs.access(checkpointPath))
+})
+
+test('incremental runs skip records whose only change is the last run’s own write', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  const dir = await makeTempDir(t)
+  const config = testConfig(fake.baseUrl, {
+    contactSearch: { ...ALL_CONTACTS, limit: 1 },
+    staleness: { enabled: true, neverAnalyzed: true, maxAgeDays: 30, changedProperties: ['lastmodifieddate', 'notes_last_updated'], statePath: path.join(dir, 'last-run.json') },
+  })
+  const run = async () => {
+    const ids = []
+    await runAnalysis({ ctx: quietContext(config), hooks: { onContact: (record) => ids.push(record.contactId) } })
+    return ids
+  }
+
+  assert.deepEqual(await run(), ['101', '102', '103'])
+  assert.deepEqual(await run(), [])
+
+  // A change well after the last write makes the record due again
+  const contact = fake.data.objects.contacts.find((c) => c.id === '103')
+  contact.properties.notes_last_updated = new Date(Date.now() + 5 * 60 * 1000).toISOString()
+  assert.deepEqual(await run(), ['103'])
+})
+
+test('email opens and clicks are not written when the Events API is unavailable', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  const customProperties = { ...testConfig(fake.baseUrl).customProperties, emailOpens: 'num_email_opens', emailClicks: 'num_email_clicks' }
+  const config = testConfig(fake.baseUrl, { customProperties })
+
+  fake.data.eventsStatus = 403
+  const ctx = quietContext(config)
+  const result = await runAnalysis({ ctx })
+  assert.equal(result.totalProcessed, 2)
+  assert.equal(ctx.lines.filter((line) => line.includes('Events API unavailable (403)')).length, 1)
+  const ada = fake.writes.find((w) => w.id === '101')
+  // The other counters are still written
+  assert.ok(Object.keys(ada.properties).length > 0)
+  assert.equal('num_email_opens' in ada.properties, false)
+  assert.equal('num_email_clicks' in ada.properties, false)
+  assert.equal(result.records.find((r) => r.contactId === '101').counts.emailOpens, null)
+
+  delete fake.data.eventsStatus
+  fake.writes.length = 0
+  await runAnalysis({ ctx: quietContext(config) })
+  const written = fake.writes.find((w) => w.id === '101').properties
+  assert.equal(written.num_email_opens, '1')
+  assert.equal(written.num_email_clicks, '1')
+})
@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import path from 'path'
+import test from 'node:test'
+import { main } from '../index.js'
+import { captureConsole, makeTempDir, matchSnapshot, QUIET_SETTINGS, startFakeHubSpot } from './helpers.js'
+
+const CONFIG_URL = new URL('../config.js', import.meta.url).href
+
+/** A --config module: config.js with the quiet test settings, then overrides (top-level keys replace). */
+async function writeConfig(dir, overrides = {}) {
+  const file = path.join(dir, 'test.config.js')
+  const settings = JSON.stringify({ ...QUIET_SETTINGS, ...overrides })
+  await fs.writeFile(file, `import { config as base } from '${CONFIG_URL}'\nexport const config = { ...base, ...${settings} }\n`, 'utf-8')
+  return file
+}
+
+async function runCli(t, args, { overrides, token = 'test-token' } = {}) {
+  const fake = await startFakeHubSpot(t)
+  const dir = await makeTempDir(t)
+  const configFile = await writeConfig(dir, overrides)
+  const previous = process.env.HUBSPOT_ACCESS_TOKEN
+  if (token) process.env.HUBSPOT_ACCESS_TOKEN = token
+  else delete process.env.HUBSPOT_ACCESS_TOKEN
+  t.after(() => {
+    if (previous === undefined) delete process.env.HUBSPOT_ACCESS_TOKEN
+    else process.env.HUBSPOT_ACCESS_TOKEN = previous
+  })
+  const lines = captureConsole(t)
+  const code = await main([...args, '--config', configFile, '--api-base-url', fake.baseUrl])
+  return { code, output: lines.join('\n') + '\n', fake, dir }
+}
+
+test('analyze --dry-run prints each contact, the diff and the cohort report', async (t) => {
+  const { code, output, fake } = await runCli(t, ['--dry-run'])
+  assert.equal(code, 0)
+  assert.equal(fake.writes.length, 0)
+  await matchSnapshot('analyze-dry-run', output)
+})
+
+test('analyze writes the counters and prints the run summary', async (t) => {
+  const { code, output, fake } = await runCli(t, ['--report', 'none'])
+  assert.equal(code, 0)
+  assert.deepEqual(fake.writes.map((w) => w.id).sort(), ['101', '102'])
+  await matchSnapshot('analyze', output)
+})
+
+test('analyze --group-by prints one report section per value', async (t) => {
+  const { code, output } = await runCli(t, ['--dry-run', '--group-by', 'lifecyclestage'])
+  assert.equal(code, 0)
+  await matchSnapshot('analyze-report-grouped', output.slice(output.indexOf('Cohort report')))
+})
+
+test('validate reports config errors and returns exit code 1', async (t) => {
+  const contactSearch = { filterGroups: [{ filters: [{ propertyName: 'no_such_property', operator: 'EQ', value: 'x' }] }], sorts: [], limit: 100, maxContacts: 0 }
+  const { code, output } = await runCli(t, ['validate'], { overrides: { contactSearch } })
+  assert.equal(code, 1)
+  await matchSnapshot('validate-errors', output)
+})
+
+test('a missing token returns exit code 1 without exiting the process', async (t) => {
+  const { code, output } = await runCli(t, ['--dry-run'], { token: null })
+  assert.equal(code, 1)
+  assert.match(output, /^Missing HUBSPOT_ACCESS_TOKEN/)
+})
@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+import { buildAssociations, getAssociationIds, searchContacts } from '../lib/crm.js'
+import { quietContext, startFakeHubSpot, testConfig } from './helpers.js'
+
+const ALL_CONTACTS = { filterGroups: [], sorts: [{ propertyName: 'hs_object_id', direction: 'ASCENDING' }], maxContacts: 0 }
+
+async function collectPages(ctx, options) {
+  const pages = []
+  for await (const page of searchContacts(ctx, options)) pages.push(page)
+  return pages
+}
+
+test('searchContacts pages through the results and hands out resume cursors', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  const ctx = quietContext(testConfig(fake.baseUrl, { contactSearch: { ...ALL_CONTACTS, limit: 1 } }))
+
+  const pages = await collectPages(ctx)
+  assert.deepEqual(
+    pages.map(({ contacts, nextAfter }) => [contacts.map((c) => c.id), nextAfter]),
+    [
+      [['101'], '1'],
+      [['102'], '2'],
+      [['103'], null],
+    ]
+  )
+
+  const resumed = await collectPages(ctx, { after: '2' })
+  assert.deepEqual(resumed.flatMap((p) => p.contacts.map((c) => c.id)), ['103'])
+})
+
+test('searchContacts stops at maxContacts', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  const ctx = quietContext(testConfig(fake.baseUrl, { contactSearch: { ...ALL_CONTACTS, limit: 2, maxContacts: 3 } }))
+
+  const pages = await collectPages(ctx, { alreadyFetched: 1 })
+  assert.deepEqual(pages.flatMap((p) => p.contacts.map((c) => c.id)), ['101', '102'])
+})
+
+test('searchContacts slices by hs_object_id past the 10,000-result limit', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  fake.data.objects.contacts = Array.from({ length: 10250 }, (_, i) => ({
+    id: String(1000 + i),
+    properties: { email: `c${i}@example.com` },
+  }))
+  const ctx = quietContext(
+    testConfig(fake.baseUrl, {
+      contactSearch: { filterGroups: [], sorts: [{ propertyName: 'createdate', direction: 'DESCENDING' }], limit: 200, maxContacts: 0 },
+    })
+  )
+
+  const pages = await collectPages(ctx)
+  const ids = pages.flatMap((p) => p.contacts.map((c) => c.id))
+  assert.equal(ids.length, 10250)
+  assert.equal(new Set(ids).size, 10250)
+  assert.ok(ctx.lines.some((line) => line.includes('Slicing by hs_object_id')))
+  assert.deepEqual(pages[0].nextAfter, { afterObjectId: '1199' })
+
+  // A sliced cursor resumes slicing after that ID
+  const resumed = await collectPages(ctx, { after: { afterObjectId: '11000' } })
+  const resumedIds = resumed.flatMap((p) => p.contacts.map((c) => c.id))
+  assert.equal(resumedIds.length, 249)
+  assert.equal(resumedIds[0], '11001')
+})
+
+test('getAssociationIds follows per-object paging to the end', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  fake.data.associationsPageSize = 2
+  fake.data.associations['contacts/notes']['101'] = ['501', '502', '503', '504', '505']
+  const ctx = quietContext(testConfig(fake.baseUrl))
+
+  const { idsByContact, incomplete } = await getAssociationIds(ctx, ['101', '102', '103'], 'notes')
+  assert.deepEqual(idsByContact.get('101'), ['501', '502', '503', '504', '505'])
+  assert.deepEqual(idsByContact.get('102'), ['501'])
+  // No associations is an empty list, not a failure
+  assert.deepEqual(idsByContact.get('103'), [])
+  assert.equal(incomplete.size, 0)
+})
+
+test('getAssociationIds retries partial batch errors and reports what still fails', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  fake.data.associationErrors = { 'contacts/emails': { 101: 2, 102: 3 } }
+  const ctx = quietContext(testConfig(fake.baseUrl))
+
+  const { idsByContact, incomplete } = await getAssociationIds(ctx, ['101', '102'], 'emails')
+  assert.deepEqual(idsByContact.get('101'), ['401'])
+  assert.deepEqual([...incomplete.keys()], ['102'])
+  assert.match(incomplete.get('102'), /Could not read emails associations/)
+  assert.equal(ctx.lines.filter((line) => line.includes('retry')).length, 4)
+})
+
+test('buildAssociations marks contacts with an incomplete type', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  fake.data.associationErrors = { 'contacts/deals': { 102: 3 } }
+  const ctx = quietContext(testConfig(fake.baseUrl))
+
+  const { associationsByContact, incomplete } = await buildAssociations(ctx, ['101', '102'], { deals: 'deals', emails: 'emails' })
+  assert.deepEqual(associationsByContact.get('101'), { deals: ['201'], emails: ['401'] })
+  assert.deepEqual([...incomplete.keys()], ['102'])
+  assert.match(incomplete.get('102')[0], /^deals: /)
+})
+
+test('getAssociationIds keeps each ID once when a page is both returned and reported as failed', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  fake.data.associationsPageSize = 2
+  fake.data.associations['contacts/notes']['101'] = ['501', '502', '503']
+  fake.data.associationErrorsWithResults = { 'contacts/notes': { 101: 1 } }
+  const ctx = quietContext(testConfig(fake.baseUrl))
+
+  const { idsByContact, incomplete } = await getAssociationIds(ctx, ['101'], 'notes')
+  assert.deepEqual(idsByContact.get('101'), ['501', '502', '503'])
+  assert.equal(incomplete.size, 0)
+  assert.equal(ctx.lines.filter((line) => line.includes('retry 1/')).length, 1)
+})
@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+import { classifyDealStage, computeDealMetrics } from '../lib/deals.js'
+
+test('stage metadata decides the outcome; default-pipeline IDs are the fallback', () => {
+  assert.equal(classifyDealStage('s1', { isClosed: false, probability: 0.2 }), 'open')
+  assert.equal(classifyDealStage('s2', { isClosed: true, probability: 1 }), 'won')
+  assert.equal(classifyDealStage('s3', { isClosed: true, probability: 0 }), 'lost')
+  assert.equal(classifyDealStage('closedwon', undefined), 'won')
+  assert.equal(classifyDealStage('closedlost', undefined), 'lost')
+  assert.equal(classifyDealStage('custom', undefined), 'open')
+})
+
+test('metrics count outcomes, sum amounts and keep the latest close of a closed deal', () => {
+  const dealDetails = new Map([
+    ['1', { amount: '100', dealstage: 'open', closedate: '2025-03-01T00:00:00.000Z' }],
+    ['2', { amount: '250.5', dealstage: 'won', closedate: '2025-01-20T00:00:00.000Z' }],
+    ['3', { amount: '', dealstage: 'closedlost', closedate: '2025-02-01T00:00:00.000Z' }],
+  ])
+  const dealStages = new Map([
+    ['open', { label: 'Open', isClosed: false, probability: 0.5 }],
+    ['won', { label: 'Won', isClosed: true, probability: 1 }],
+  ])
+  assert.deepEqual(computeDealMetrics(['1', '2', '3', 'missing'], dealDetails, dealStages), {
+    openDeals: 1,
+    wonDeals: 1,
+    lostDeals: 1,
+    totalAmount: 350.5,
+    wonAmount: 250.5,
+    lastCloseDate: Date.UTC(2025, 1, 1),
+  })
+})
@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import path from 'path'
+import test from 'node:test'
+import { runAnalysis } from '../lib/analysis.js'
+import { makeTempDir, quietContext, startFakeHubSpot, testConfig } from './helpers.js'
+
+test('record mode forwards reads, answers writes locally and replays what it saved', async (t) => {
+  const upstream = await startFakeHubSpot(t)
+  const dir = await makeTempDir(t)
+  const recorder = await startFakeHubSpot(t, { fixturesDir: dir, recordFrom: upstream.baseUrl })
+
+  const recorded = await runAnalysis({ ctx: quietContext(testConfig(recorder.baseUrl)) })
+  assert.equal(recorded.totalProcessed, 2)
+  assert.equal(upstream.writes.length, 0)
+  assert.deepEqual(recorder.writes.map((w) => w.id).sort(), ['101', '102'])
+
+  const files = await fs.readdir(path.join(dir, 'recorded'))
+  assert.ok(files.length > 0)
+  assert.ok(files.every((file) => !/batch-update/.test(file)))
+
+  // Replay from the saved exchanges, with upstream gone
+  await upstream.close()
+  const replay = await startFakeHubSpot(t, { fixturesDir: dir })
+  const replayed = await runAnalysis({ ctx: quietContext(testConfig(replay.baseUrl)) })
+  assert.equal(replayed.totalProcessed, 2)
+  assert.deepEqual(replay.writes.map((w) => w.id).sort(), ['101', '102'])
+})
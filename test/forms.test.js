@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import path from 'path'
+import test from 'node:test'
+import { buildFormSubmissionIndex, buildFormSubmissionsByEmail } from '../lib/forms-api.js'
+import {
+  advanceHighWaterMark,
+  isBeforeHighWaterMark,
+  isCoveredByHighWaterMark,
+  mergeFormSubmissions,
+  submissionKey,
+} from '../lib/forms.js'
+import { makeTempDir, quietContext, startFakeHubSpot, testConfig } from './helpers.js'
+
+const FORM_GUID = 'f0a1b2c3-0000-4000-8000-000000000001'
+
+test('high-water marks cover the newest submission and older ones', () => {
+  let mark = advanceHighWaterMark(null, 1000, 'c-1')
+  mark = advanceHighWaterMark(mark, 2000, 'c-2')
+  mark = advanceHighWaterMark(mark, 2000, 'c-3')
+  mark = advanceHighWaterMark(mark, 1500, 'c-4')
+  assert.deepEqual(mark, { submittedAt: 2000, conversionIds: ['c-2', 'c-3'] })
+
+  assert.equal(isCoveredByHighWaterMark(mark, 2000, 'c-3'), true)
+  assert.equal(isCoveredByHighWaterMark(mark, 2000, 'c-5'), false)
+  assert.equal(isCoveredByHighWaterMark(mark, 2500, 'c-6'), false)
+  assert.equal(isBeforeHighWaterMark(mark, 1999), true)
+  assert.equal(isBeforeHighWaterMark(mark, 2000), false)
+})
+
+test('submissions without a conversion ID keep separate cache entries', () => {
+  const a = { formGuid: 'f', conversionId: null, submittedAt: 1000, values: [{ name: 'email', value: 'a@example.com' }] }
+  const b = { formGuid: 'f', submittedAt: 1000, values: [{ name: 'email', value: 'b@example.com' }] }
+  const aAgain = { ...a, submittedAt: '1000', values: [...a.values] }
+  assert.notEqual(submissionKey(a), submissionKey(b))
+  assert.equal(submissionKey(a), submissionKey(aAgain))
+
+  const submissions = new Map()
+  mergeFormSubmissions(submissions, [a, b, aAgain, { formGuid: 'f', conversionId: 'c-1', submittedAt: 1000 }])
+  assert.equal(submissions.size, 3)
+})
+
+test('the form cache syncs incrementally up to each high-water mark', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  const dir = await makeTempDir(t)
+  const cachePath = path.join(dir, 'form-submissions.json')
+  const config = testConfig(fake.baseUrl, { formSubmissionsCachePath: cachePath, formSubmissionsMaxAgeMonths: 0 })
+
+  const first = quietContext(config)
+  const index = await buildFormSubmissionIndex(first)
+  assert.equal(index.total, 3)
+  assert.ok(first.lines.some((line) => line.includes('no cache, full fetch') && line.includes('3 new')))
+  const cache = JSON.parse(await fs.readFile(cachePath, 'utf-8'))
+  assert.deepEqual(cache.forms[FORM_GUID].highWaterMark, { submittedAt: 1736586000000, conversionIds: ['c-3'] })
+
+  fake.data.formSubmissions[FORM_GUID].push(
+    { conversionId: 'c-4', submittedAt: 1736600000000, values: [{ name: 'email', value: 'ADA@example.com' }] },
+    { conversionId: null, submittedAt: 1736700000000, values: [{ name: 'email', value: 'new1@example.com' }] },
+    { conversionId: null, submittedAt: 1736700000000, values: [{ name: 'email', value: 'new2@example.com' }] }
+  )
+  const second = quietContext(config)
+  const updated = await buildFormSubmissionIndex(second)
+  assert.equal(updated.total, 6)
+  assert.ok(second.lines.some((line) => line.includes('incremental sync') && line.includes('3 new')))
+  assert.deepEqual(
+    updated.byEmail.get('ada@example.com').map((sub) => sub.conversionId),
+    ['c-1', 'c-4']
+  )
+
+  // Nothing new: the sync stops at the mark
+  const third = quietContext(config)
+  assert.equal((await buildFormSubmissionIndex(third)).total, 6)
+  assert.ok(third.lines.some((line) => line.includes('0 new')))
+})
+
+test('an unversioned cache is migrated and every form is fetched once', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  const dir = await makeTempDir(t)
+  const cachePath = path.join(dir, 'form-submissions.json')
+  const old = { formGuid: 'f-old', formName: 'Old form', conversionId: 'c-old', submittedAt: 1730000000000, values: [{ name: 'email', value: 'ada@example.com' }] }
+  await fs.writeFile(cachePath, JSON.stringify({ fetchedAt: 1730000000000, byEmail: { 'ada@example.com': [old] } }))
+
+  const ctx = quietContext(testConfig(fake.baseUrl, { formSubmissionsCachePath: cachePath, formSubmissionsMaxAgeMonths: 0 }))
+  const index = await buildFormSubmissionIndex(ctx)
+  assert.ok(ctx.lines.includes('Form submissions: migrating cache to the current format.'))
+  assert.equal(index.total, 4)
+  assert.deepEqual(index.byEmail.get('ada@example.com').map((sub) => sub.conversionId).sort(), ['c-1', 'c-old'])
+  const cache = JSON.parse(await fs.readFile(cachePath, 'utf-8'))
+  assert.equal(cache.version, 2)
+  assert.equal(cache.submissions.length, 4)
+})
+
+test('buildFormSubmissionsByEmail returns the email map', async (t) => {
+  const fake = await startFakeHubSpot(t)
+  const byEmail = await buildFormSubmissionsByEmail(quietContext(testConfig(fake.baseUrl)))
+  assert.ok(byEmail instanceof Map)
+  assert.deepEqual([...byEmail.keys()].sort(), ['ada@example.com', 'g.hopper@example.org'])
+})
@@ -0,0 +1,100 @@
+/**
+ * Shared setup for the tests: a fake HubSpot server on fixtures/sample, a config pointed at it
+ * with caches, checkpoints and output turned off, quiet run contexts, captured console output and
+ * text snapshots (test/snapshots/<name>.txt; UPDATE_SNAPSHOTS=1 npm test rewrites them).
+ */
+
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { format } from 'util'
+import { config as defaultConfig } from '../config.js'
+import { createContext } from '../lib/context.js'
+import { createFakeHubSpot } from '../lib/fake-hubspot.js'
+
+export const SAMPLE_FIXTURES = fileURLToPath(new URL('../fixtures/sample', import.meta.url))
+
+const SNAPSHOTS_DIR = fileURLToPath(new URL('./snapshots', import.meta.url))
+
+/** Settings that keep test runs fast and free of files: no pacing, caches or checkpoint. */
+export const QUIET_SETTINGS = {
+  rateLimit: { requestsPerSecond: 0, requestsPerTenSeconds: 0, maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5 },
+  delayBetweenBatchesMs: 0,
+  checkpointPath: null,
+  formSubmissionsCachePath: null,
+  emailEngagementCachePath: null,
+}
+
+/**
+ * Start a fake HubSpot on the sample fixtures (fresh in-memory data) and close it after the test.
+ * Returns the fake server plus baseUrl.
+ */
+export async function startFakeHubSpot(t, options = {}) {
+  const fake = await createFakeHubSpot({ fixturesDir: SAMPLE_FIXTURES, ...options })
+  const baseUrl = await fake.listen()
+  t.after(() => fake.close())
+  return { ...fake, baseUrl }
+}
+
+/** A temporary directory removed after the test. */
+export async function makeTempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'hubspot-analysis-test-'))
+  t.after(() => fs.rm(dir, { recursive: true, force: true }))
+  return dir
+}
+
+/**
+ * config.js pointed at baseUrl: no rate limit, no caches, checkpoint, report or export.
+ * overrides are merged in (contactSearch is merged one level deep).
+ */
+export function testConfig(baseUrl, overrides = {}) {
+  return {
+    ...defaultConfig,
+    apiBaseUrl: baseUrl,
+    ...QUIET_SETTINGS,
+    report: { ...defaultConfig.report, enabled: false },
+    output: { ...defaultConfig.output, outputDir: null },
+    ...overrides,
+    contactSearch: { ...defaultConfig.contactSearch, ...overrides.contactSearch },
+  }
+}
+
+/** A run context whose log and error output is collected in `lines` instead of printed. */
+export function quietContext(config) {
+  const lines = []
+  const collect = (...args) => lines.push(args.join(' '))
+  const ctx = createContext({ config, accessToken: 'test-token', log: collect, error: collect })
+  return Object.assign(ctx, { lines })
+}
+
+/**
+ * Collect console.log / console.error output for the rest of the test (restored afterwards).
+ * Returns the array of printed lines.
+ */
+export function captureConsole(t) {
+  const lines = []
+  const collect = (...args) => lines.push(format(...args))
+  t.mock.method(console, 'log', collect)
+  t.mock.method(console, 'error', collect)
+  return lines
+}
+
+/** Compare text with test/snapshots/<name>.txt, or write it with UPDATE_SNAPSHOTS=1. */
+export async function matchSnapshot(name, actual) {
+  const file = path.join(SNAPSHOTS_DIR, `${name}.txt`)
+  if (process.env.UPDATE_SNAPSHOTS) {
+    await fs.mkdir(SNAPSHOTS_DIR, { recursive: true })
+    await fs.writeFile(file, actual, 'utf-8')
+    return
+  }
+  let expected
+  try {
+    expected = await fs.readFile(file, 'utf-8')
+  } catch (err) {
+    if (err.code === 'ENOENT') assert.fail(`No snapshot ${name}.txt; run UPDATE_SNAPSHOTS=1 npm test to create it.`)
+    throw err
+  }
+  assert.equal(actual, expected)
+}
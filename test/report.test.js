@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+import { createCohortReport, formatReportMarkdown, formatReportTable, parseReportFormats } from '../lib/report.js'
+import { matchSnapshot } from './helpers.js'
+
+const RECORDS = [
+  {
+    properties: { industry: 'Software' },
+    counts: { calls: 2, emails: 0, emailOpens: 3 },
+    deals: [{ stageLabel: 'Closed Won' }],
+    emailStatusSummary: { SENT: 2, BOUNCED: 0 },
+    formSubmissions: [{ formName: 'Signup | EU' }],
+  },
+  { properties: { industry: 'Software' }, counts: { calls: 0, emails: 4, emailOpens: null }, emailStatusSummary: { SENT: 4 } },
+  { properties: {}, counts: { calls: 0, emails: 0, emailOpens: 0 } },
+]
+
+function buildReport(options) {
+  const report = createCohortReport(options)
+  for (const record of RECORDS) report.add(record)
+  return { ...report.build(), generatedAt: '2025-01-31T00:00:00.000Z' }
+}
+
+test('report formats are parsed, lower-cased and deduplicated', () => {
+  assert.deepEqual(parseReportFormats('Table, markdown,table'), ['table', 'markdown'])
+  assert.deepEqual(parseReportFormats(['json']), ['json'])
+  assert.throws(() => parseReportFormats('table,html'), /Unknown report format\(s\): html/)
+})
+
+test('distributions skip counters that were not fetched', () => {
+  const { overall } = buildReport()
+  assert.equal(overall.contacts, 3)
+  assert.equal(overall.noActivityShare, 0.333)
+  assert.deepEqual(overall.counters.calls, { min: 0, median: 0, p90: 2, max: 2, zeroShare: 0.667 })
+  assert.deepEqual(overall.counters.emailOpens, { min: 0, median: 1.5, p90: 3, max: 3, zeroShare: 0.5 })
+  assert.deepEqual(overall.emailStatus, { SENT: 6 })
+  assert.deepEqual(overall.topForms, [{ form: 'Signup | EU', submissions: 1 }])
+})
+
+test('table output names the object type and lists one section per group', async () => {
+  const report = buildReport({ groupBy: 'industry', objectType: 'companies' })
+  assert.deepEqual(Object.keys(report.groups), ['Software', '(none)'])
+  await matchSnapshot('report-table', formatReportTable(report) + '\n')
+})
+
+test('markdown output escapes pipes in table cells', async () => {
+  await matchSnapshot('report-markdown', formatReportMarkdown(buildReport()))
+})
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+import { computeEngagementScore, formatScoreBreakdown, getDecayedSignals } from '../lib/scoring.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const NOW = Date.UTC(2025, 0, 31)
+
+const SCORING = {
+  signals: {
+    meetings: { weight: 8 },
+    calls: { weight: 4, halfLifeDays: 30 },
+    emailClicks: { weight: 3, cap: 10 },
+  },
+  penalties: { bouncedEmail: 5 },
+  minScore: 0,
+  tiers: [
+    { min: 0, label: 'Cold' },
+    { min: 20, label: 'Warm' },
+    { min: 40, label: 'Hot' },
+  ],
+}
+
+test('only signals with a half-life need timestamps', () => {
+  assert.deepEqual(getDecayedSignals(SCORING), ['calls'])
+  assert.deepEqual(getDecayedSignals(undefined), [])
+})
+
+test('weights, decay, caps and penalties add up to the score and tier', () => {
+  const result = computeEngagementScore(
+    {
+      counts: { meetings: 2, calls: 2, emailClicks: 5 },
+      timestamps: { calls: [NOW, NOW - 30 * DAY_MS] },
+      emailStatus: { BOUNCED: 1 },
+    },
+    SCORING,
+    NOW
+  )
+  assert.deepEqual(result, {
+    score: 27,
+    tier: 'Warm',
+    breakdown: [
+      { signal: 'meetings', count: 2, points: 16, decayed: false, capped: false },
+      { signal: 'calls', count: 2, points: 6, decayed: true, capped: false },
+      { signal: 'emailClicks', count: 5, points: 10, decayed: false, capped: true },
+    ],
+    penalties: [{ name: 'bouncedEmail', count: 1, points: -5 }],
+  })
+  assert.equal(formatScoreBreakdown(result), '27 (Warm): meetings 16, calls 6 (decayed), emailClicks 10 (capped), bouncedEmail -5')
+})
+
+test('penalties cannot take the score below minScore', () => {
+  const result = computeEngagementScore({ counts: {}, emailStatus: { BOUNCED: 3 } }, SCORING, NOW)
+  assert.equal(result.score, 0)
+  assert.equal(result.tier, 'Cold')
+  assert.equal(formatScoreBreakdown({ ...result, penalties: [] }), '0 (Cold)')
+})
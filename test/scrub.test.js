@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+import { scrubEmail, scrubJson, scrubQuery } from '../lib/scrub.js'
+
+test('engagement subjects, titles and bodies are replaced; IDs and dates are kept', () => {
+  const scrubbed = scrubJson({
+    results: [
+      {
+        id: '401',
+        properties: {
+          hs_email_subject: 'Your offer, Ada',
+          hs_email_text: 'Hi Ada',
+          hs_meeting_title: 'Call with Ada Lovelace',
+          hs_call_title: 'Follow-up',
+          hs_task_subject: 'Send contract to Ada',
+          hs_timestamp: '2025-01-10T10:00:00.000Z',
+          jobtitle: 'Engineer',
+        },
+      },
+    ],
+  })
+  assert.deepEqual(scrubbed.results[0], {
+    id: '401',
+    properties: {
+      hs_email_subject: '[scrubbed 15 chars]',
+      hs_email_text: '[scrubbed 6 chars]',
+      hs_meeting_title: '[scrubbed 22 chars]',
+      hs_call_title: '[scrubbed 9 chars]',
+      hs_task_subject: '[scrubbed 20 chars]',
+      hs_timestamp: '2025-01-10T10:00:00.000Z',
+      jobtitle: 'Engineer',
+    },
+  })
+})
+
+test('emails get stable pseudonyms and personal fields are replaced', () => {
+  const scrubbed = scrubJson({
+    properties: { email: 'Ada@Example.com', firstname: 'Ada', phone: '+44 20 7946 0000' },
+    values: [{ name: 'email', value: 'ada@example.com' }],
+  })
+  assert.equal(scrubbed.properties.email, scrubEmail('ada@example.com'))
+  assert.equal(scrubbed.values[0].value, scrubbed.properties.email)
+  assert.match(scrubbed.properties.firstname, /^Firstname-[0-9a-f]{6}$/)
+  assert.match(scrubbed.properties.phone, /^Phone-[0-9a-f]{6}$/)
+})
+
+test('scrubQuery drops credentials and sorts the rest', () => {
+  const params = new URLSearchParams('limit=10&hapikey=secret&after=5&access_token=pat-na1-abc-def')
+  assert.deepEqual(scrubQuery(params), [
+    ['after', '5'],
+    ['limit', '10'],
+  ])
+})
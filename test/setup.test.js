@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+import { planPropertySetup, toPropertyCreate } from '../lib/setup.js'
+
+const CONFIG = {
+  customProperties: { calls: 'num_calls', emails: 'num_emails', meetings: 'num_meetings' },
+  dealMetricProperties: { wonDeals: 'num_calls', lastCloseDate: 'last_close_date' },
+  scoring: { enabled: true, properties: { tier: 'engagement_tier' } },
+}
+
+test('targets are split into create, existing and conflicts, each name planned once', () => {
+  const plan = planPropertySetup(CONFIG, [
+    { name: 'num_calls', type: 'number' },
+    { name: 'num_emails', type: 'string' },
+    { name: 'engagement_tier', type: 'enumeration' },
+  ])
+  assert.deepEqual(
+    plan.create.map((t) => t.propertyName),
+    ['num_meetings', 'last_close_date']
+  )
+  assert.deepEqual(
+    plan.existing.map((t) => t.source),
+    ['customProperties.calls', 'scoring.properties.tier']
+  )
+  assert.deepEqual(
+    plan.conflicts.map((c) => [c.target.propertyName, c.actualType]),
+    [['num_emails', 'string']]
+  )
+})
+
+test('create payloads use the first accepted type and its form field type', () => {
+  const { create } = planPropertySetup(CONFIG, [])
+  assert.deepEqual(toPropertyCreate(create.find((t) => t.propertyName === 'last_close_date'), 'analysis'), {
+    name: 'last_close_date',
+    label: 'Last deal close date',
+    type: 'date',
+    fieldType: 'date',
+    groupName: 'analysis',
+    description: 'Written by hubspot-analysis (dealMetricProperties.lastCloseDate).',
+  })
+  assert.equal(toPropertyCreate(create.find((t) => t.propertyName === 'engagement_tier'), 'analysis').fieldType, 'text')
+})
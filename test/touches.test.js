@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+import { computeTouchDates, getActivityDirection, getTouchProperties, touchValues } from '../lib/touches.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const NOW = Date.UTC(2025, 0, 31)
+
+test('directions are normalized for emails and calls only', () => {
+  assert.deepEqual(getTouchProperties('calls'), ['hs_timestamp', 'hs_call_direction'])
+  assert.deepEqual(getTouchProperties('meetings'), ['hs_timestamp'])
+  assert.equal(getActivityDirection('emails', { hs_email_direction: 'INCOMING_EMAIL' }), 'INBOUND')
+  assert.equal(getActivityDirection('emails', { hs_email_direction: 'FORWARDED_EMAIL' }), 'OUTBOUND')
+  assert.equal(getActivityDirection('calls', { hs_call_direction: 'inbound' }), 'INBOUND')
+  assert.equal(getActivityDirection('calls', {}), null)
+  assert.equal(getActivityDirection('meetings', { hs_call_direction: 'INBOUND' }), null)
+})
+
+test('touch dates skip future activities and track the last touch per direction', () => {
+  const iso = (ms) => new Date(ms).toISOString()
+  const associations = { emails: ['e1', 'e2'], calls: ['c1'], meetings: ['m1'] }
+  const detailsByType = {
+    emails: new Map([
+      ['e1', { hs_timestamp: iso(NOW - 20 * DAY_MS), hs_email_direction: 'EMAIL' }],
+      ['e2', { hs_timestamp: iso(NOW - 5 * DAY_MS), hs_email_direction: 'INCOMING_EMAIL' }],
+    ]),
+    calls: new Map([['c1', { hs_timestamp: String(NOW - 2 * DAY_MS), hs_call_direction: 'OUTBOUND' }]]),
+    meetings: new Map([['m1', { hs_timestamp: iso(NOW + DAY_MS) }]]),
+  }
+  const objectTypes = { emails: 'emails', calls: 'calls', meetings: 'meetings' }
+  const touches = computeTouchDates(associations, ['emails', 'calls', 'meetings'], detailsByType, objectTypes, NOW)
+  assert.deepEqual(touches.byType, {
+    emails: { first: NOW - 20 * DAY_MS, last: NOW - 5 * DAY_MS },
+    calls: { first: NOW - 2 * DAY_MS, last: NOW - 2 * DAY_MS },
+    meetings: { first: null, last: null },
+  })
+  assert.deepEqual(touchValues(touches), {
+    firstTouchDate: NOW - 20 * DAY_MS,
+    lastTouchDate: NOW - 2 * DAY_MS,
+    lastTouchType: 'calls',
+    lastTouchDirection: 'OUTBOUND',
+    daysSinceLastTouch: 2,
+    lastInboundDate: NOW - 5 * DAY_MS,
+    lastOutboundDate: NOW - 2 * DAY_MS,
+  })
+})
+
+test('a contact without past activities has no touches', () => {
+  const touches = computeTouchDates({}, ['emails'], {}, { emails: 'emails' }, NOW)
+  assert.equal(touches.lastTouch, null)
+  assert.equal(touches.daysSinceLastTouch, null)
+})
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+import { collectWriteTargets, printValidationReport, validateConfig } from '../lib/validate.js'
+
+const BASE = {
+  primaryObjectType: 'contacts',
+  activityTypesToCount: { calls: 'calls' },
+  customProperties: { calls: 'num_calls' },
+  contactSearch: { filterGroups: [], sorts: [], properties: [] },
+}
+
+const PROPERTIES = [
+  { name: 'num_calls', type: 'number' },
+  { name: 'score', type: 'string' },
+  { name: 'program_start', type: 'date' },
+  { name: 'lifecyclestage', type: 'enumeration' },
+]
+
+test('write targets of disabled features are left out', () => {
+  const config = {
+    ...BASE,
+    scoring: { enabled: false, properties: { score: 'score' } },
+    touchDates: { enabled: true, properties: { lastTouchDate: 'last_touch', byType: { calls: { lastDate: 'last_call' } } } },
+  }
+  assert.deepEqual(
+    collectWriteTargets(config).map((t) => [t.source, t.types[0]]),
+    [
+      ['customProperties.calls', 'number'],
+      ['touchDates.properties.lastTouchDate', 'date'],
+      ['touchDates.properties.byType.calls.lastDate', 'date'],
+    ]
+  )
+})
+
+test('a config whose properties exist with the right types passes', () => {
+  assert.deepEqual(validateConfig(BASE, PROPERTIES), { errors: [], warnings: [] })
+})
+
+test('missing and mistyped properties, bad filters and unknown object types are errors', () => {
+  const config = {
+    ...BASE,
+    activityTypesToCount: { calls: 'calls', visits: 'site_visits' },
+    customProperties: { calls: 'num_calls', visits: 'num_visits' },
+    scoring: { enabled: true, signals: { calls: { weight: 'high' } }, properties: { score: 'score' } },
+    contactSearch: {
+      filterGroups: [{ filters: [{ propertyName: 'lifecyclestage', operator: 'GT', value: 'lead' }, { propertyName: 'program_start', operator: 'IN' }] }],
+      sorts: [{ propertyName: 'missing', direction: 'UP' }],
+      properties: [],
+    },
+  }
+  const { errors, warnings } = validateConfig(config, PROPERTIES)
+  assert.deepEqual(errors, [
+    'customProperties.visits: property "num_visits" does not exist (create it as number).',
+    'scoring.properties.score: property "score" is type string, expected number.',
+    'contactSearch.filterGroups[0].filters[1]: operator IN needs a non-empty "values" array.',
+    'contactSearch.sorts[0]: property "missing" does not exist.',
+    'contactSearch.sorts[0]: direction must be ASCENDING or DESCENDING.',
+    'activityTypesToCount.visits: "site_visits" is not a known object type or custom object type ID.',
+    'scoring.signals.calls: "weight" must be a number.',
+  ])
+  assert.deepEqual(warnings, ['contactSearch.filterGroups[0].filters[0]: GT on "lifecyclestage" (type enumeration) compares as text.'])
+
+  const lines = []
+  assert.equal(printValidationReport({ errors, warnings }, (line) => lines.push(line)), false)
+  assert.equal(lines.at(-1), '  7 error(s), 1 warning(s).')
+})
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+import {
+  buildWindowProperties,
+  computeWindowCounts,
+  getWindowContactProperties,
+  parseTimestamp,
+  resolveWindowRange,
+  toIsoTimestamp,
+} from '../lib/windows.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const NOW = Date.UTC(2025, 0, 31)
+
+test('timestamps parse from ms numbers, ms strings and ISO strings', () => {
+  assert.equal(parseTimestamp(1735689600000), 1735689600000)
+  assert.equal(parseTimestamp('1735689600000'), 1735689600000)
+  assert.equal(parseTimestamp('2025-01-01T00:00:00.000Z'), 1735689600000)
+  assert.equal(parseTimestamp('2025-01-01'), 1735689600000)
+  assert.equal(parseTimestamp(''), null)
+  assert.equal(parseTimestamp('not a date'), null)
+  assert.equal(toIsoTimestamp('1735689600000'), '2025-01-01T00:00:00.000Z')
+  assert.equal(toIsoTimestamp(null), null)
+})
+
+test('windows resolve to ranges from now or from a contact date', () => {
+  const props = { program_start: '2025-01-01' }
+  assert.deepEqual(getWindowContactProperties({ a: { days: 7 }, b: { relativeTo: 'program_start' }, c: { relativeTo: 'program_start', days: 3 } }), [
+    'program_start',
+  ])
+  assert.deepEqual(resolveWindowRange({ days: 7 }, props, NOW), [NOW - 7 * DAY_MS, NOW])
+  assert.deepEqual(resolveWindowRange({ relativeTo: 'program_start' }, props, NOW), [Date.UTC(2025, 0, 1), NOW])
+  assert.deepEqual(resolveWindowRange({ relativeTo: 'program_start', days: 3 }, props, NOW), [Date.UTC(2025, 0, 1), Date.UTC(2025, 0, 4)])
+  assert.equal(resolveWindowRange({ relativeTo: 'program_start' }, {}, NOW), null)
+  assert.equal(resolveWindowRange({}, props, NOW), null)
+})
+
+test('counts per type and window become property values; unresolved windows are left out', () => {
+  const associations = { calls: ['1', '2', '3'], emails: [] }
+  const timestampsByType = {
+    calls: new Map([
+      ['1', NOW - DAY_MS],
+      ['2', NOW - 10 * DAY_MS],
+      ['3', null],
+    ]),
+  }
+  const windows = { last7: { days: 7 }, sinceStart: { relativeTo: 'program_start' } }
+  const counts = computeWindowCounts(associations, timestampsByType, { types: ['calls', 'emails'], windows }, {}, NOW)
+  assert.deepEqual(counts, { calls: { last7: 1, sinceStart: null }, emails: { last7: 0, sinceStart: null } })
+  assert.deepEqual(
+    buildWindowProperties(counts, { calls: { last7: 'num_calls_7d', sinceStart: 'num_calls_since_start' }, emails: { last7: 'num_emails_7d' } }),
+    { num_calls_7d: '1', num_emails_7d: '0' }
+  )
+})